@@ -0,0 +1,278 @@
+const fs = require('fs')
+const util = require('util')
+
+const { OPEN_READONLY, OPEN_READWRITE, resolveDriver } = require('./drivers')
+const { createEncryption } = require('./encryption')
+const { NeverExpires, PurgeExpiredStatement, decodeRow } = require('./index')
+const { SelectSpacesStatement } = require('./migrations')
+const { resolveSerializer } = require('./serializers')
+
+const Usage = `Usage: cache-manager-sqlite <command> <database> [arguments] [options]
+
+Commands:
+  namespaces              list key-value spaces with their number of entries
+  keys [pattern]          list live keys matching glob pattern (default *) with remaining TTL
+  get <key>               print decoded value of key
+  del <key...>            delete keys
+  del-pattern <pattern>   delete keys matching glob pattern
+  purge                   delete expired entries
+  stats                   show entries and size of key-value space and database
+  vacuum                  rebuild database file, returning free pages to the file system
+
+Options:
+  -n, --namespace <name>      key-value space (default kv)
+  --serializer <name>         cbor (default), json or typed-json, for rows written before serializers were recorded
+  --encryption-key <key>      hex or base64 key of stores using encryption at rest
+  --driver <name>             sqlite3 (default), better-sqlite3 or node:sqlite
+  --limit <n>                 list at most n keys
+  --json                      machine readable output
+  -h, --help                  show this help
+`
+
+const ValueOptions = {'-n': 'namespace', '--namespace': 'namespace', '--serializer': 'serializer',
+    '--encryption-key': 'encryptionKey', '--driver': 'driver', '--limit': 'limit'}
+const FlagOptions = {'--json': 'json', '-h': 'help', '--help': 'help'}
+
+const CountEntriesStatement = 'SELECT COUNT(*) AS entries FROM "%s" WHERE expire_at > $ts'
+const SelectKeysStatement = `
+SELECT key, expire_at, COALESCE(fresh_until, expire_at) AS fresh_until FROM "%s"
+WHERE key GLOB $pattern AND expire_at > $ts ORDER BY key LIMIT $limit
+`
+const SelectEntryStatement = 'SELECT * FROM "%s" WHERE key = $key AND expire_at > $ts'
+const DeleteKeyStatement = 'DELETE FROM "%s" WHERE key = $key'
+const DeleteByPatternStatement = 'DELETE FROM "%s" WHERE key GLOB $pattern'
+const StatsStatement = `
+SELECT
+    (SELECT COUNT(*) FROM "%s" WHERE expire_at > $ts) AS entries,
+    (SELECT COUNT(*) FROM "%s" WHERE expire_at <= $ts) AS expired,
+    (SELECT COALESCE(SUM(length(val)), 0) FROM "%s") AS valueBytes,
+    page_count * page_size AS dbSize,
+    freelist_count * page_size AS freeBytes
+FROM pragma_page_count(), pragma_page_size(), pragma_freelist_count()
+`
+
+/**
+ * Splits command line into positional arguments and options
+ */
+function parseArgs(argv) {
+    const options = {namespace: 'kv'}
+    const positional = []
+    for (let i = 0; i < argv.length; i++) {
+        const [arg, inline] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]]
+        if (FlagOptions[arg]) {
+            options[FlagOptions[arg]] = true
+        } else if (ValueOptions[arg]) {
+            const value = inline !== undefined ? inline : argv[++i]
+            if (value === undefined) {
+                throw new Error(util.format('Option %s expects a value', arg))
+            }
+
+            options[ValueOptions[arg]] = value
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(util.format('Unknown option %s', arg))
+        } else {
+            positional.push(argv[i])
+        }
+    }
+
+    return {options, positional}
+}
+
+/**
+ * Promise flavour of callback style database of any driver
+ */
+class Connection {
+    #db = null
+
+    static open(file, driver, flags) {
+        if (!fs.existsSync(file)) {
+            return Promise.reject(new Error(util.format('Database %s does not exist', file)))
+        }
+
+        return new Promise((ok, fail) => {
+            const db = resolveDriver(driver).open(file, flags, err => err ? fail(err) : ok(new Connection(db)))
+        })
+    }
+
+    constructor(db) {
+        this.#db = db
+    }
+
+    all(sql, params = {}) {
+        return new Promise((ok, fail) => this.#db.all(sql, params, (err, rows) => err ? fail(err) : ok(rows)))
+    }
+
+    run(sql, params = {}) {
+        return new Promise((ok, fail) => this.#db.run(sql, params, function (err) {
+            return err ? fail(err) : ok(this.changes)
+        }))
+    }
+
+    close() {
+        return new Promise((ok, fail) => this.#db.close(err => err ? fail(err) : ok()))
+    }
+}
+
+/**
+ * Decodes value of `row` the way store does, with optional `encryption`. Rows that don't record their serializer
+ * are read with `serializer` (name, default `cbor`).
+ */
+function decode(row, serializer, encryption) {
+    if (row.key_id && !encryption) {
+        throw new Error(util.format('Value of key %s is encrypted with key %s, pass --encryption-key', row.key, row.key_id))
+    }
+
+    return decodeRow(row, resolveSerializer(serializer), encryption)
+}
+
+/**
+ * Remaining milliseconds until entry stops being fresh, null when it never expires
+ */
+function remaining(freshUntil, ts) {
+    return freshUntil >= NeverExpires ? null : freshUntil - ts
+}
+
+function formatTtl(ttl) {
+    if (ttl === null) {
+        return 'never'
+    }
+
+    return ttl > 0 ? util.format('%ss', (ttl / 1000).toFixed(1)) : 'stale'
+}
+
+/**
+ * Command implementations, each yields `[result, text]`: result printed with `--json`, text otherwise
+ */
+const commands = {
+    async namespaces(db) {
+        const ts = Date.now()
+        const result = []
+        for (const {name} of await db.all(SelectSpacesStatement)) {
+            const [{entries}] = await db.all(util.format(CountEntriesStatement, name), {$ts: ts})
+            result.push({name, entries})
+        }
+
+        return [result, result.map(n => util.format('%s\t%d', n.name, n.entries)).join('\n')]
+    },
+
+    async keys(db, {namespace, limit}, [pattern = '*']) {
+        const ts = Date.now()
+        const binding = {$pattern: pattern, $ts: ts, $limit: limit === undefined ? -1 : Number(limit)}
+        const rows = await db.all(util.format(SelectKeysStatement, namespace), binding)
+        const result = rows.map(r => ({key: r.key, ttl: remaining(r.fresh_until, ts), stale: r.fresh_until <= ts}))
+
+        return [result, result.map(k => util.format('%s\t%s', k.key, formatTtl(k.ttl))).join('\n')]
+    },
+
+    async get(db, {namespace, serializer, encryptionKey}, [key]) {
+        if (key === undefined) {
+            throw new Error('Missing key')
+        }
+
+        const ts = Date.now()
+        const [row] = await db.all(util.format(SelectEntryStatement, namespace), {$key: key, $ts: ts})
+        if (!row) {
+            throw new Error(util.format('Key %s not found', key))
+        }
+
+        const encryption = encryptionKey ? createEncryption({key: encryptionKey, keyProvider: () => encryptionKey}) : null
+        const value = decode(row, serializer, encryption)
+        const freshUntil = typeof row.fresh_until === 'number' ? row.fresh_until : row.expire_at
+        const result = {
+            key, value, ttl: remaining(freshUntil, ts), stale: freshUntil <= ts, createdAt: row.created_at,
+            hits: row.hits, codec: row.codec
+        }
+
+        return [result, JSON.stringify(value, null, 2)]
+    },
+
+    async del(db, {namespace}, keys) {
+        let deleted = 0
+        for (const key of keys) {
+            deleted += await db.run(util.format(DeleteKeyStatement, namespace), {$key: key})
+        }
+
+        return [{deleted}, util.format('%d deleted', deleted)]
+    },
+
+    async 'del-pattern'(db, {namespace}, [pattern]) {
+        if (pattern === undefined) {
+            throw new Error('Missing pattern')
+        }
+
+        const deleted = await db.run(util.format(DeleteByPatternStatement, namespace), {$pattern: pattern})
+        return [{deleted}, util.format('%d deleted', deleted)]
+    },
+
+    async purge(db, {namespace}) {
+        const purged = await db.run(util.format(PurgeExpiredStatement, namespace), {$ts: Date.now()})
+        return [{purged}, util.format('%d purged', purged)]
+    },
+
+    async stats(db, {namespace}, args, file) {
+        const [row] = await db.all(util.format(StatsStatement, namespace, namespace, namespace), {$ts: Date.now()})
+        const walSize = fs.existsSync(file + '-wal') ? fs.statSync(file + '-wal').size : 0
+        const result = {namespace, ...row, walSize}
+
+        return [result, Object.entries(result).map(([k, v]) => util.format('%s\t%s', k, v)).join('\n')]
+    },
+
+    async vacuum(db) {
+        await db.run('VACUUM')
+        return [{vacuumed: true}, 'vacuumed']
+    }
+}
+
+// Commands only reading database open it read-only
+const Writing = new Set(['del', 'del-pattern', 'purge', 'vacuum'])
+
+/**
+ * Runs command line `argv` (without node and script), printing to `out` and errors to `err` streams.
+ * Resolves with process exit code.
+ */
+async function run(argv, out = process.stdout, err = process.stderr) {
+    let options = {}
+    try {
+        const parsed = parseArgs(argv)
+        options = parsed.options
+        const [command, file, ...args] = parsed.positional
+        if (options.help || !command) {
+            out.write(Usage)
+            return options.help ? 0 : 1
+        }
+
+        if (!commands[command]) {
+            throw new Error(util.format('Unknown command %s', command))
+        }
+
+        if (!file) {
+            throw new Error('Missing database path')
+        }
+
+        const db = await Connection.open(file, options.driver, Writing.has(command) ? OPEN_READWRITE : OPEN_READONLY)
+        try {
+            // Namespace ends up in statements, it must name one of the key-value spaces in file
+            const spaces = (await db.all(SelectSpacesStatement)).map(r => r.name)
+            if (command !== 'namespaces' && command !== 'vacuum' && !spaces.includes(options.namespace)) {
+                throw new Error(util.format('Unknown namespace %s, database has: %s', options.namespace, spaces.join(', ')))
+            }
+
+            const [result, text] = await commands[command](db, options, args, file)
+            const output = options.json ? JSON.stringify(result) : text
+            if (output) {
+                out.write(output + '\n')
+            }
+        } finally {
+            await db.close()
+        }
+
+        return 0
+    } catch (e) {
+        err.write((options.json ? JSON.stringify({error: e.message}) : 'Error: ' + e.message) + '\n')
+        return 1
+    }
+}
+
+module.exports = {
+    run
+}
@@ -0,0 +1,18 @@
+const zlib = require('zlib')
+
+module.exports = {
+    gzip: {
+        compress: b => zlib.gzipSync(b),
+        decompress: b => zlib.gunzipSync(b)
+    },
+
+    deflate: {
+        compress: b => zlib.deflateSync(b),
+        decompress: b => zlib.inflateSync(b)
+    },
+
+    brotli: {
+        compress: b => zlib.brotliCompressSync(b),
+        decompress: b => zlib.brotliDecompressSync(b)
+    }
+}
@@ -0,0 +1,286 @@
+const util = require('util')
+
+// Open flags, same values as sqlite3 package constants so `flags` option works with every driver
+const OPEN_READONLY = 0x1
+const OPEN_READWRITE = 0x2
+const OPEN_CREATE = 0x4
+
+// Milliseconds to wait before retrying backup step of a busy database
+const BackupRetryDelay = 50
+
+/**
+ * Requires `module` of driver `name`, failing with a readable error when it is not installed
+ */
+function load(name, module) {
+    try {
+        return require(module)
+    } catch (e) {
+        throw new Error(util.format('Driver %s is not available: %s', name, e.message))
+    }
+}
+
+// Names of primary SQLite result codes, node:sqlite reports errors with numeric `errcode` only
+const ResultCodes = [
+    'SQLITE_OK', 'SQLITE_ERROR', 'SQLITE_INTERNAL', 'SQLITE_PERM', 'SQLITE_ABORT', 'SQLITE_BUSY', 'SQLITE_LOCKED',
+    'SQLITE_NOMEM', 'SQLITE_READONLY', 'SQLITE_INTERRUPT', 'SQLITE_IOERR', 'SQLITE_CORRUPT', 'SQLITE_NOTFOUND',
+    'SQLITE_FULL', 'SQLITE_CANTOPEN', 'SQLITE_PROTOCOL', 'SQLITE_EMPTY', 'SQLITE_SCHEMA', 'SQLITE_TOOBIG',
+    'SQLITE_CONSTRAINT', 'SQLITE_MISMATCH', 'SQLITE_MISUSE', 'SQLITE_NOLFS', 'SQLITE_AUTH', 'SQLITE_FORMAT',
+    'SQLITE_RANGE', 'SQLITE_NOTADB', 'SQLITE_NOTICE', 'SQLITE_WARNING'
+]
+
+/**
+ * Prefixes message of driver errors with SQLite result code, the way sqlite3 reports them. Extended result codes
+ * of node:sqlite are reported by their primary code, like sqlite3 does.
+ */
+function sqliteError(e, code) {
+    const err = e instanceof Error ? e : new Error(String(e))
+    if (typeof err.errcode === 'number' && ResultCodes[err.errcode & 0xff]) {
+        err.code = ResultCodes[err.errcode & 0xff]
+    }
+
+    err.code = err.code || code
+    if (err.code && !err.message.startsWith(err.code)) {
+        err.message = err.code + ': ' + err.message
+    }
+
+    return err
+}
+
+/**
+ * Callback style database on top of a synchronous driver, mirroring the subset of sqlite3 `Database` API used
+ * by the adapter. Statements run right away in call order and their callbacks are deferred, so callers can't
+ * tell it apart from sqlite3 in serialized mode. Like sqlite3, statements of a database that failed to open
+ * never run.
+ */
+class SyncDatabase {
+    open = false
+
+    #native = null
+    #binding = null
+    #statements = new Map()
+
+    /**
+     * @param {object} binding of driver: `connect(file, flags)`, `args(params)`, `row(row)` and `backup(native, file)`
+     * @param {string} file path of database
+     * @param {number} flags open flags
+     * @param {function} cb called once database is open
+     */
+    constructor(binding, file, flags, cb) {
+        this.#binding = binding
+        let failure = null
+        try {
+            this.#native = binding.connect(file, flags)
+            this.open = true
+        } catch (e) {
+            failure = sqliteError(e, 'SQLITE_CANTOPEN')
+        }
+
+        setImmediate(() => cb && cb(failure))
+    }
+
+    serialize(fn) {
+        if (fn) {
+            fn()
+        }
+    }
+
+    run(sql, params, cb) {
+        this.#execute(sql, params, cb, (stmt, args) => {
+            const info = stmt.run(...args)
+            return [{changes: Number(info.changes), lastID: Number(info.lastInsertRowid)}]
+        })
+    }
+
+    get(sql, params, cb) {
+        this.#execute(sql, params, cb, (stmt, args) => {
+            const row = stmt.get(...args)
+            return [{}, row && this.#binding.row(row)]
+        })
+    }
+
+    all(sql, params, cb) {
+        this.#execute(sql, params, cb, (stmt, args) => [{}, stmt.all(...args).map(r => this.#binding.row(r))])
+    }
+
+    exec(sql, cb) {
+        if (!this.open) {
+            return
+        }
+
+        let failure = null
+        try {
+            this.#native.exec(sql)
+        } catch (e) {
+            failure = sqliteError(e)
+        }
+
+        setImmediate(() => cb && cb(failure))
+    }
+
+    /**
+     * Copies database to `file` with online backup API of driver
+     */
+    backup(file, cb) {
+        if (!this.open) {
+            return
+        }
+
+        Promise.resolve()
+            .then(() => this.#binding.backup(this.#native, file))
+            .then(() => cb(null), e => cb(sqliteError(e)))
+    }
+
+    close(cb) {
+        let failure = null
+        try {
+            this.#statements.clear()
+            this.#native.close()
+            this.open = false
+        } catch (e) {
+            failure = sqliteError(e)
+        }
+
+        setImmediate(() => cb && cb(failure))
+    }
+
+    /**
+     * Runs `sql` through `step`, which yields context (`this` of callback) and result of statement
+     */
+    #execute(sql, params, cb, step) {
+        if (typeof params === 'function') {
+            cb = params
+            params = []
+        }
+
+        if (!this.open) {
+            return
+        }
+
+        let failure = null
+        let context = {}
+        let result
+        try {
+            [context, result] = step(this.#prepare(sql), this.#binding.args(params || []))
+        } catch (e) {
+            failure = sqliteError(e)
+        }
+
+        setImmediate(() => cb && cb.call(context, failure, result))
+    }
+
+    #prepare(sql) {
+        let stmt = this.#statements.get(sql)
+        if (!stmt) {
+            // Placeholder lists make for many distinct statements, keep cache from growing unbounded
+            if (this.#statements.size >= 256) {
+                this.#statements.clear()
+            }
+
+            stmt = this.#native.prepare(sql)
+            this.#statements.set(sql, stmt)
+        }
+
+        return stmt
+    }
+}
+
+/**
+ * Named parameters are passed as `{$name: value}` throughout the adapter, as sqlite3 expects them
+ */
+function unprefixed(params) {
+    return Object.fromEntries(Object.entries(params).map(([k, v]) => [k.replace(/^[$:@]/, ''), v]))
+}
+
+const drivers = {
+    sqlite3: {
+        open(file, flags, cb) {
+            const sqlite = load('sqlite3', 'sqlite3')
+            return new sqlite.Database(file, flags, cb)
+        },
+
+        backup(db, file, cb) {
+            const backup = db.backup(file, err => {
+                if (err) {
+                    return cb(err)
+                }
+
+                // Source pages are copied in one step, retried while another connection holds a write lock
+                const step = () => backup.step(-1, err => {
+                    if (backup.completed || backup.failed) {
+                        return backup.finish(() => cb(backup.completed ? null : err))
+                    }
+
+                    setTimeout(step, BackupRetryDelay)
+                })
+                step()
+            })
+        }
+    },
+
+    'better-sqlite3': {
+        open(file, flags, cb) {
+            const Database = load('better-sqlite3', 'better-sqlite3')
+            return new SyncDatabase({
+                connect: (file, flags) => new Database(file, {
+                    readonly: !(flags & OPEN_READWRITE),
+                    fileMustExist: !(flags & OPEN_CREATE)
+                }),
+                args: params => Array.isArray(params) ? params : [unprefixed(params)],
+                row: row => row,
+                backup: (native, file) => native.backup(file)
+            }, file, flags, cb)
+        },
+
+        backup: (db, file, cb) => db.backup(file, cb)
+    },
+
+    'node:sqlite': {
+        open(file, flags, cb) {
+            const { DatabaseSync } = load('node:sqlite', 'node:sqlite')
+            return new SyncDatabase({
+                connect: (file, flags) => new DatabaseSync(file, {readOnly: !(flags & OPEN_READWRITE), timeout: 5000}),
+                args: params => Array.isArray(params) ? params : [params],
+
+                // Blobs come back as Uint8Array, adapter expects Buffers like other drivers hand out
+                row: row => {
+                    for (const k of Object.keys(row)) {
+                        if (row[k] instanceof Uint8Array && !Buffer.isBuffer(row[k])) {
+                            row[k] = Buffer.from(row[k].buffer, row[k].byteOffset, row[k].byteLength)
+                        }
+                    }
+
+                    return row
+                },
+
+                // Online backup landed in Node 22.16, VACUUM INTO makes an equally consistent copy before that
+                backup: (native, file) => {
+                    const sqlite = load('node:sqlite', 'node:sqlite')
+                    return sqlite.backup ? sqlite.backup(native, file) : native.prepare('VACUUM INTO ?').run(file)
+                }
+            }, file, flags, cb)
+        },
+
+        backup: (db, file, cb) => db.backup(file, cb)
+    }
+}
+
+/**
+ * Returns driver `name` (default `sqlite3`) after checking its package can be loaded
+ */
+function resolveDriver(name = 'sqlite3') {
+    const driver = drivers[name]
+    if (!driver) {
+        throw new Error(util.format('Unknown driver %s, expected one of: %s', name, Object.keys(drivers).join(', ')))
+    }
+
+    load(name, name)
+    return driver
+}
+
+module.exports = {
+    OPEN_READONLY,
+    OPEN_READWRITE,
+    OPEN_CREATE,
+    SyncDatabase,
+    resolveDriver
+}
@@ -0,0 +1,95 @@
+const crypto = require('crypto')
+const util = require('util')
+
+const { DecryptionError } = require('./errors')
+
+const Algorithm = 'aes-256-gcm'
+const KeyLength = 32
+const IvLength = 12
+const TagLength = 16
+
+// Envelope flags, first byte of every encrypted payload
+const TextPayload = 1
+
+/**
+ * @typedef {object} EncryptionOptions
+ * @property {Buffer|string} key current 32 byte key (Buffer, hex or base64 string) used for new entries
+ * @property {string} keyId id of current key stored with every entry (default `default`)
+ * @property {object} keys previous keys by id, kept to read entries written before rotation
+ * @property {function} keyProvider `(keyId) => key` lookup for keys not listed in `keys`
+ */
+
+function toKey(key, keyId) {
+    const buf = typeof key === 'string' ? Buffer.from(key, key.length === KeyLength * 2 ? 'hex' : 'base64') : key
+    if (!Buffer.isBuffer(buf) || buf.length !== KeyLength) {
+        throw new Error(util.format('Encryption key %s must be %d bytes', keyId, KeyLength))
+    }
+
+    return buf
+}
+
+/**
+ * Creates AES-256-GCM envelope encryption for payloads. Envelope is `flags | iv | auth tag | ciphertext`,
+ * cache key of entry is authenticated as well so payloads can't be swapped between entries.
+ *
+ * @param {EncryptionOptions} options
+ */
+function createEncryption(options) {
+    const keyId = options.keyId || 'default'
+    const resolved = new Map()
+    const lookup = id => {
+        if (!resolved.has(id)) {
+            const key = (id === keyId && options.key) || (options.keys && options.keys[id]) || (options.keyProvider && options.keyProvider(id))
+            if (!key) {
+                return null
+            }
+
+            resolved.set(id, toKey(key, id))
+        }
+
+        return resolved.get(id)
+    }
+
+    const current = lookup(keyId)
+    if (!current) {
+        throw new Error(util.format('Encryption key %s is not available', keyId))
+    }
+
+    return {
+        keyId,
+
+        encrypt(payload, key) {
+            const text = typeof payload === 'string'
+            const iv = crypto.randomBytes(IvLength)
+            const cipher = crypto.createCipheriv(Algorithm, current, iv, {authTagLength: TagLength})
+            cipher.setAAD(Buffer.from(key))
+            const body = Buffer.concat([cipher.update(text ? Buffer.from(payload) : payload), cipher.final()])
+
+            return Buffer.concat([Buffer.from([text ? TextPayload : 0]), iv, cipher.getAuthTag(), body])
+        },
+
+        decrypt(envelope, key, id) {
+            const secret = lookup(id)
+            if (!secret) {
+                throw new DecryptionError(util.format('Encryption key %s is not available', id), key, id)
+            }
+
+            try {
+                const iv = envelope.subarray(1, 1 + IvLength)
+                const tag = envelope.subarray(1 + IvLength, 1 + IvLength + TagLength)
+                const decipher = crypto.createDecipheriv(Algorithm, secret, iv, {authTagLength: TagLength})
+                decipher.setAAD(Buffer.from(key))
+                decipher.setAuthTag(tag)
+                const body = Buffer.concat([decipher.update(envelope.subarray(1 + IvLength + TagLength)), decipher.final()])
+
+                return envelope[0] & TextPayload ? body.toString('utf8') : body
+            } catch (e) {
+                throw new DecryptionError(util.format('Unable to decrypt entry with key %s', id), key, id)
+            }
+        }
+    }
+}
+
+module.exports = {
+    createEncryption
+}
@@ -0,0 +1,50 @@
+/**
+ * Raised when an encrypted entry can't be read back, either because key it was written with is not
+ * available to the store or because authentication failed (wrong key or tampered payload).
+ */
+class DecryptionError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} key of cache entry
+     * @param {string} keyId of encryption key entry was written with
+     */
+    constructor(message, key, keyId) {
+        super(message)
+        this.name = 'DecryptionError'
+        this.key = key
+        this.keyId = keyId
+    }
+}
+
+/**
+ * Raised when value of an entry can't be serialized on write, or its stored payload can't be read back
+ */
+class SerializationError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} key of cache entry
+     * @param {Error} cause failure of serializer, codec or payload check
+     */
+    constructor(message, key, cause) {
+        super(message)
+        this.name = 'SerializationError'
+        this.key = key
+        this.cause = cause
+    }
+}
+
+/**
+ * Raised by operations on a store after it has been closed
+ */
+class StoreClosedError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'StoreClosedError'
+    }
+}
+
+module.exports = {
+    DecryptionError,
+    SerializationError,
+    StoreClosedError
+}
@@ -0,0 +1,599 @@
+// Statuses cacheable by default (RFC 9110 section 15.1) that this cache stores
+const CacheableStatuses = new Set([200, 203, 204, 300, 301, 308, 404, 410])
+
+// Headers describing the connection rather than the response, never stored
+const UnstoredHeaders = new Set([
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding',
+    'upgrade', 'set-cookie', 'age', 'content-length', 'x-cache'
+])
+
+// Headers a 304 response can't change on the stored one
+const ContentHeaders = new Set(['content-type', 'content-encoding', 'content-range'])
+
+const DefaultRevalidateTtl = 24 * 60 * 60
+const DefaultMaxBodySize = 1024 * 1024
+
+/**
+ * Parses Cache-Control header into directives, `max-age=60, no-store` yields `{'max-age': '60', 'no-store': true}`
+ */
+function parseCacheControl(header) {
+    const directives = {}
+    for (const part of String(header || '').split(',')) {
+        const [name, value] = part.split('=')
+        if (name.trim()) {
+            directives[name.trim().toLowerCase()] = value === undefined ? true : value.trim().replace(/^"|"$/g, '')
+        }
+    }
+
+    return directives
+}
+
+function seconds(value) {
+    const parsed = parseInt(value, 10)
+    return Number.isNaN(parsed) ? undefined : Math.max(parsed, 0)
+}
+
+function headerValue(value) {
+    if (value === undefined || value === null) {
+        return ''
+    }
+
+    return Array.isArray(value) ? value.join(', ') : String(value)
+}
+
+/**
+ * Body read back from store, serializers without binary support yield it in other shapes
+ */
+function toBuffer(body) {
+    if (Buffer.isBuffer(body)) {
+        return body
+    }
+
+    if (body instanceof Uint8Array) {
+        return Buffer.from(body.buffer, body.byteOffset, body.byteLength)
+    }
+
+    if (body && body.type === 'Buffer' && Array.isArray(body.data)) {
+        return Buffer.from(body.data)
+    }
+
+    return Buffer.from(body || '')
+}
+
+/**
+ * Response headers worth storing, names lower cased and values as strings (or arrays of them)
+ */
+function storedHeaders(headers) {
+    const stored = {}
+    for (const [name, value] of Object.entries(headers)) {
+        const lower = name.toLowerCase()
+        if (!UnstoredHeaders.has(lower) && value !== undefined) {
+            stored[lower] = Array.isArray(value) ? value.map(String) : String(value)
+        }
+    }
+
+    return stored
+}
+
+/**
+ * Names of request headers response varies on, `['*']` when it varies on anything
+ */
+function varyNames(headers) {
+    return headerValue(headers.vary).split(',').map(n => n.trim().toLowerCase()).filter(n => n).sort()
+}
+
+/**
+ * Whether request conditions (`If-None-Match`, `If-Modified-Since`) are met by response with `headers`
+ */
+function notModified(header, headers) {
+    const ifNoneMatch = header('if-none-match')
+    if (ifNoneMatch) {
+        const etag = headers.etag
+        const weak = tag => tag.trim().replace(/^W\//, '')
+        return !!etag && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(t => weak(t) === weak(etag)))
+    }
+
+    const ifModifiedSince = Date.parse(header('if-modified-since'))
+    const lastModified = Date.parse(headers['last-modified'])
+    return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince
+}
+
+/**
+ * Responses of one URL live under the URL itself. Responses with `Vary` live under a variant key made of the URL and
+ * values of the varying request headers, with names of these headers kept under the vary key of the URL.
+ */
+class HttpCache {
+    #store = null
+    #shared = true
+    #defaultTtl = 0
+    #revalidateTtl = DefaultRevalidateTtl
+    #onError = null
+
+    constructor(store, options = {}) {
+        if (!store || typeof store.mgetWithMetadata !== 'function') {
+            throw new Error('HTTP cache needs a SqliteCacheAdapter')
+        }
+
+        this.#store = store
+        this.#shared = options.shared !== false
+        this.#defaultTtl = typeof options.defaultTtl === 'number' ? options.defaultTtl : this.#defaultTtl
+        this.#revalidateTtl = typeof options.revalidateTtl === 'number' ? options.revalidateTtl : this.#revalidateTtl
+        this.maxBodySize = typeof options.maxBodySize === 'number' ? options.maxBodySize : DefaultMaxBodySize
+        this.#onError = options.onError || (err => {
+            if (store.listenerCount('error') > 0) {
+                store.emit('error', err)
+            }
+        })
+    }
+
+    /**
+     * Reports failure of store, cache stays out of the way of responses when SQLite can't serve it
+     */
+    failed(err) {
+        this.#onError(err)
+    }
+
+    /**
+     * Yields cached response of `url` for request with headers read by `header(name)` as
+     * `{key, status, headers, body, fresh, age}`, or undefined on miss
+     */
+    async lookup(url, header) {
+        const [plain, index] = await this.#store.mgetWithMetadata(url, varyKey(url))
+        let key = url
+        let entry = plain
+        if (!entry && index && Array.isArray(index.value)) {
+            key = variantKey(url, index.value, header)
+            entry = await this.#store.getWithMetadata(key)
+        }
+
+        if (!entry || !entry.value) {
+            return undefined
+        }
+
+        const {status, headers, body} = entry.value
+        return {
+            key, status, headers, body: toBuffer(body), fresh: !entry.stale,
+            age: Math.max(Math.floor((Date.now() - entry.createdAt) / 1000), 0)
+        }
+    }
+
+    /**
+     * Stores response of GET `url` when cacheable, `header(name)` reads request headers. Yields whether it was stored.
+     */
+    async save(url, header, {status, headers, body}) {
+        const stored = storedHeaders(headers)
+        const ttl = this.#freshness(header, status, stored)
+        if (ttl === undefined) {
+            return false
+        }
+
+        const vary = varyNames(stored)
+        if (vary.includes('*')) {
+            return false
+        }
+
+        const key = vary.length > 0 ? variantKey(url, vary, header) : url
+        await this.#write(url, key, vary, {status, headers: stored, body}, ttl)
+        return true
+    }
+
+    /**
+     * Freshens `cached` response after origin confirmed it with 304 carrying `headers`, yields the updated response
+     */
+    async refresh(url, header, cached, headers) {
+        const updated = {...cached.headers}
+        for (const [name, value] of Object.entries(storedHeaders(headers))) {
+            if (!ContentHeaders.has(name)) {
+                updated[name] = value
+            }
+        }
+
+        const response = {status: cached.status, headers: updated, body: cached.body}
+        const ttl = this.#freshness(header, cached.status, updated)
+        if (ttl === undefined) {
+            await this.#store.del(cached.key)
+        } else {
+            const vary = varyNames(updated)
+            await this.#write(url, cached.key, vary, response, ttl)
+        }
+
+        return {...response, key: cached.key, fresh: true, age: 0}
+    }
+
+    /**
+     * Seconds response stays fresh, undefined when it must not be stored
+     */
+    #freshness(header, status, headers) {
+        if (!CacheableStatuses.has(status)) {
+            return undefined
+        }
+
+        const request = parseCacheControl(header('cache-control'))
+        const response = parseCacheControl(headers['cache-control'])
+        if (request['no-store'] || response['no-store'] || (this.#shared && response.private)) {
+            return undefined
+        }
+
+        // Shared caches must not reuse responses to authorized requests unless told so
+        if (this.#shared && header('authorization') && !response.public && !response['s-maxage'] && !response['must-revalidate']) {
+            return undefined
+        }
+
+        let ttl = this.#shared && seconds(response['s-maxage']) !== undefined ? seconds(response['s-maxage']) : seconds(response['max-age'])
+        if (ttl === undefined && headers.expires) {
+            const expires = Date.parse(headers.expires)
+            const date = headers.date ? Date.parse(headers.date) : Date.now()
+            ttl = Number.isNaN(expires) ? 0 : Math.max(Math.floor((expires - (Number.isNaN(date) ? Date.now() : date)) / 1000), 0)
+        }
+
+        if (ttl === undefined) {
+            ttl = this.#defaultTtl
+        }
+
+        if (response['no-cache']) {
+            ttl = 0
+        }
+
+        return ttl > 0 || headers.etag || headers['last-modified'] ? ttl : undefined
+    }
+
+    async #write(url, key, vary, response, ttl) {
+        // Responses with validators are kept stale for revalidation. Those fresh for 0 seconds are stored as stale
+        // right away, TTL of 0 would make them never expire.
+        const validators = !!(response.headers.etag || response.headers['last-modified'])
+        const options = {
+            ttl: ttl > 0 ? ttl : -0.001,
+            staleTtl: validators ? this.#revalidateTtl : 0,
+            metadata: {etag: response.headers.etag, lastModified: response.headers['last-modified']}
+        }
+
+        await this.#store.set(key, response, options)
+        if (vary.length > 0) {
+            await this.#store.set(varyKey(url), vary, {ttl: options.ttl + options.staleTtl, staleTtl: 0})
+            await this.#store.del(url)
+        } else {
+            await this.#store.del(varyKey(url))
+        }
+    }
+}
+
+function varyKey(url) {
+    return 'vary ' + url
+}
+
+function variantKey(url, names, header) {
+    return url + ' ' + JSON.stringify(names.map(n => headerValue(header(n))))
+}
+
+/**
+ * Request headers validating `cached` response with its origin
+ */
+function conditions(cached) {
+    const headers = {}
+    if (cached.headers.etag) {
+        headers['if-none-match'] = cached.headers.etag
+    }
+
+    if (cached.headers['last-modified']) {
+        headers['if-modified-since'] = cached.headers['last-modified']
+    }
+
+    return headers
+}
+
+function cacheable(method, header) {
+    return (method === 'GET' || method === 'HEAD') && !parseCacheControl(header('cache-control'))['no-store']
+}
+
+function mustRevalidate(cached, header) {
+    const request = parseCacheControl(header('cache-control'))
+    return !cached.fresh || request['no-cache'] || header('pragma') === 'no-cache'
+        || (request['max-age'] !== undefined && cached.age > seconds(request['max-age']))
+}
+
+/**
+ * Connect style middleware `(req, res, next)` caching GET responses of handlers after it in `store`
+ *
+ * @param {SqliteCacheAdapter} store
+ * @param {HttpCacheOptions} options
+ */
+function cacheMiddleware(store, options = {}) {
+    const cache = new HttpCache(store, options)
+    const urlOf = typeof options.key === 'function' ? options.key : req => req.originalUrl || req.url
+
+    return (req, res, next) => {
+        // Conditions of the client, the ones validating cached response replace them on the way to the origin
+        const requestHeaders = req.headers
+        const header = name => headerValue(requestHeaders[name])
+        if (!cacheable(req.method, header)) {
+            return next()
+        }
+
+        const url = urlOf(req)
+        cache.lookup(url, header).catch(err => cache.failed(err)).then(cached => {
+            if (cached && !mustRevalidate(cached, header)) {
+                return send(req, res, header, cached, 'HIT')
+            }
+
+            const revalidating = cached && Object.keys(conditions(cached)).length > 0
+            if (revalidating) {
+                req.headers = {...requestHeaders}
+                delete req.headers['if-none-match']
+                delete req.headers['if-modified-since']
+                Object.assign(req.headers, conditions(cached))
+            }
+
+            capture(res, cache.maxBodySize, revalidating, response => {
+                if (response.status === 304 && revalidating) {
+                    return cache.refresh(url, header, cached, response.headers).catch(err => {
+                        cache.failed(err)
+                        return {...cached, fresh: true, age: 0}
+                    }).then(refreshed => send(req, res, header, refreshed, 'REVALIDATED')).catch(err => {
+                        cache.failed(err)
+                        res.destroy()
+                    })
+                }
+
+                if (req.method === 'GET' && response.body) {
+                    cache.save(url, header, response).catch(err => cache.failed(err))
+                }
+            })
+
+            next()
+        }).catch(next)
+    }
+}
+
+/**
+ * Serves `cached` response on `res`, as 304 when it meets conditions of the request
+ */
+function send(req, res, header, cached, state) {
+    const matched = notModified(header, cached.headers)
+    res.statusCode = matched ? 304 : cached.status
+    for (const [name, value] of Object.entries(cached.headers)) {
+        if (!matched || !ContentHeaders.has(name)) {
+            res.setHeader(name, value)
+        }
+    }
+
+    res.setHeader('age', String(cached.age))
+    res.setHeader('x-cache', state)
+    if (matched || cached.status === 204) {
+        return res.end()
+    }
+
+    res.setHeader('content-length', cached.body.length)
+    res.end(req.method === 'HEAD' ? undefined : cached.body)
+}
+
+/**
+ * Tees response written to `res` into a buffer, calling `finish(response)` once it ended. With `intercept` a 304 is
+ * held back for `finish` to answer, other responses go out as they're written. `response.body` is null when it
+ * outgrew `maxBodySize`.
+ */
+function capture(res, maxBodySize, intercept, finish) {
+    const {writeHead, write, end} = res
+    const chunks = []
+    let size = 0
+    let held = false
+
+    const restore = () => Object.assign(res, {writeHead, write, end})
+    const collect = (chunk, encoding) => {
+        if (chunk === undefined || chunk === null || typeof chunk === 'function' || size > maxBodySize) {
+            return
+        }
+
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+        size += buffer.length
+        chunks.push(buffer)
+    }
+
+    // Headers passed to writeHead are set on `res` first, so `getHeaders()` sees them once response ended
+    res.writeHead = function (status, ...args) {
+        const message = typeof args[0] === 'string' ? [args.shift()] : []
+        setHeaders(this, args[0])
+        if (intercept && status === 304) {
+            held = true
+            return this
+        }
+
+        return writeHead.call(this, status, ...message)
+    }
+
+    const hold = () => {
+        held = held || (intercept && !res.headersSent && res.statusCode === 304)
+        return held
+    }
+
+    res.write = function (chunk, encoding, cb) {
+        if (hold()) {
+            return true
+        }
+
+        collect(chunk, encoding)
+        return write.call(this, chunk, encoding, cb)
+    }
+
+    res.end = function (chunk, encoding, cb) {
+        restore()
+        const response = {status: hold() ? 304 : this.statusCode, headers: this.getHeaders(), body: null}
+        if (held) {
+            finish(response)
+            return this
+        }
+
+        collect(chunk, encoding)
+        response.body = size > maxBodySize ? null : Buffer.concat(chunks)
+        const result = end.call(this, chunk, encoding, cb)
+        finish(response)
+        return result
+    }
+}
+
+/**
+ * Sets `headers` given to `res.writeHead` (plain object, array of pairs or flat array of names and values) on `res`,
+ * repeated names of arrays are set as one header with all their values
+ */
+function setHeaders(res, headers) {
+    if (!Array.isArray(headers)) {
+        for (const [name, value] of Object.entries(headers || {})) {
+            res.setHeader(name, value)
+        }
+
+        return
+    }
+
+    const values = new Map()
+    for (let i = 0; i < headers.length; i += Array.isArray(headers[0]) ? 1 : 2) {
+        const [name, value] = Array.isArray(headers[0]) ? headers[i] : [headers[i], headers[i + 1]]
+        const lower = String(name).toLowerCase()
+        values.set(lower, (values.get(lower) || []).concat(value))
+    }
+
+    for (const [name, value] of values) {
+        res.setHeader(name, value.length === 1 ? value[0] : value)
+    }
+}
+
+/**
+ * Header names and values of `headers` (Headers, array of pairs or plain object) as lower cased plain object
+ */
+function headerObject(headers) {
+    const object = {}
+    const add = (value, name) => {
+        const lower = name.toLowerCase()
+        object[lower] = lower in object ? object[lower] + ', ' + value : String(value)
+    }
+
+    if (headers && typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+        headers.forEach(add)
+    } else {
+        for (const [name, value] of Array.isArray(headers) ? headers : Object.entries(headers || {})) {
+            add(value, name)
+        }
+    }
+
+    return object
+}
+
+/**
+ * Reads URL, method, headers and cache mode of `fetch` arguments without Request class, Node 16 and older lack it
+ */
+function fetchRequest(input, init = {}) {
+    const plain = typeof input === 'string' || input instanceof URL
+    const source = plain ? {} : input
+    return {
+        url: new URL(plain ? String(input) : input.url).href,
+        method: String(init.method || source.method || 'GET').toUpperCase(),
+        cache: init.cache || source.cache || 'default',
+        headers: headerObject(init.headers !== undefined ? init.headers : source.headers)
+    }
+}
+
+// Fetch hands out decoded bodies, these headers describe the encoded one
+const DecodedHeaders = new Set(['content-encoding', 'content-length'])
+
+/**
+ * Wraps `fetch` to cache GET responses in `store`, yields function with signature of `fetch`. Uses `fetch` and
+ * `Response` of Node 18+ unless given as options (node-fetch for example).
+ *
+ * @param {SqliteCacheAdapter} store
+ * @param {HttpCacheOptions & {fetch: Function, Response: Function}} options
+ */
+function cachedFetch(store, options = {}) {
+    const cache = new HttpCache(store, {shared: false, ...options})
+    const fetch = options.fetch || globalThis.fetch
+    const Response = options.Response || globalThis.Response
+    if (typeof fetch !== 'function' || typeof Response !== 'function') {
+        throw new Error('fetch is not available, pass fetch and Response as options')
+    }
+
+    /**
+     * Builds Response of `cached` one, as 304 when it meets conditions of the request
+     */
+    const respond = (request, header, cached, state) => {
+        const matched = notModified(header, cached.headers)
+        const headers = Object.entries(cached.headers).flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(v => [name, v]))
+        headers.push(['age', String(cached.age)], ['x-cache', state])
+        const status = matched ? 304 : cached.status
+        const empty = status === 204 || status === 304 || request.method === 'HEAD'
+        return new Response(empty ? null : cached.body, {status, headers})
+    }
+
+    return async (input, init) => {
+        const request = fetchRequest(input, init)
+        const header = name => request.headers[name] || ''
+        if (!cacheable(request.method, header) || request.cache === 'no-store') {
+            return fetch(input, init)
+        }
+
+        let cached
+        try {
+            cached = await cache.lookup(request.url, header)
+        } catch (err) {
+            cache.failed(err)
+        }
+
+        if (cached && !mustRevalidate(cached, header) && request.cache !== 'no-cache') {
+            return respond(request, header, cached, 'HIT')
+        }
+
+        const revalidating = cached && Object.keys(conditions(cached)).length > 0
+        const headers = {...request.headers}
+        if (revalidating) {
+            delete headers['if-none-match']
+            delete headers['if-modified-since']
+            Object.assign(headers, conditions(cached))
+        }
+
+        const response = await fetch(input, {...init, headers})
+        if (revalidating && response.status === 304) {
+            let refreshed
+            try {
+                refreshed = await cache.refresh(request.url, header, cached, headerObject(response.headers))
+            } catch (err) {
+                cache.failed(err)
+                refreshed = {...cached, fresh: true, age: 0}
+            }
+
+            return respond(request, header, refreshed, 'REVALIDATED')
+        }
+
+        if (request.method !== 'GET' || !CacheableStatuses.has(response.status)) {
+            return response
+        }
+
+        const body = Buffer.from(await response.arrayBuffer())
+        const decoded = []
+        response.headers.forEach((value, name) => !DecodedHeaders.has(name.toLowerCase()) && decoded.push([name, value]))
+        if (body.length <= cache.maxBodySize) {
+            try {
+                await cache.save(request.url, header, {status: response.status, headers: headerObject(decoded), body})
+            } catch (err) {
+                cache.failed(err)
+            }
+        }
+
+        const empty = response.status === 204
+        return new Response(empty ? null : body, {status: response.status, statusText: response.statusText, headers: decoded})
+    }
+}
+
+/**
+ * @typedef {Object} HttpCacheOptions
+ * @property {number} defaultTtl seconds responses without Cache-Control max-age or Expires stay fresh (default 0, not
+ *           stored unless they carry validators)
+ * @property {number} revalidateTtl seconds responses with ETag or Last-Modified are kept after going stale, for
+ *           conditional requests (default one day)
+ * @property {number} maxBodySize responses with larger bodies (bytes) are not stored (default 1 MiB)
+ * @property {boolean} shared whether cache is shared between users, honoring `s-maxage` and skipping `private`
+ *           responses (default true for middleware, false for fetch)
+ * @property {Function} key middleware only, `key(req)` yields URL responses are cached under (default `req.originalUrl`)
+ * @property {Function} onError called with errors of store, emitted as store `error` events by default
+ */
+
+module.exports = {
+    cacheMiddleware,
+    cachedFetch,
+    parseCacheControl
+}
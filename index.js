@@ -1,27 +1,189 @@
-const sqlite = require('sqlite3')
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const fs = require('fs')
+const path = require('path')
 const util = require('util')
 
-const serializers = require('./serializers')
+const codecs = require('./codecs')
+const { OPEN_CREATE, OPEN_READONLY, OPEN_READWRITE, resolveDriver } = require('./drivers')
+const { createEncryption } = require('./encryption')
+const { DecryptionError, SerializationError, StoreClosedError } = require('./errors')
+const { MemoryLayer } = require('./memory')
+const { Histogram } = require('./metrics')
+const { CompanionSuffixes, SchemaVersion, SelectSpacesStatement, invalidName, migrate } = require('./migrations')
+const { registerSerializer, registerType, resolveSerializer } = require('./serializers')
+const { end, snapshotFormat, write } = require('./snapshot')
 
 const ConfigurePragmas = `
 PRAGMA main.synchronous = NORMAL;
-PRAGMA main.journal_mode = WAL2;
+PRAGMA main.journal_mode = WAL;
 PRAGMA main.auto_vacuum = INCREMENTAL;
+PRAGMA busy_timeout = 5000;
 `
-const CreateTableStatement = `
-CREATE TABLE IF NOT EXISTS %s (
-    key TEXT PRIMARY KEY, 
-    val BLOB, 
-    created_at INTEGER, 
-    expire_at INTEGER
-);
-CREATE INDEX IF NOT EXISTS index_expire_%s ON %s(expire_at);
+const LastChangeStatement = 'SELECT COALESCE(MAX(seq), 0) AS seq FROM "%s_changes"'
+const SelectChangesStatement = 'SELECT seq, key, op, (SELECT MIN(seq) FROM "%s_changes") AS first FROM "%s_changes" WHERE seq > $seq ORDER BY seq'
+// Moves whenever another connection commits (data_version) or this one writes (total_changes)
+const DataVersionStatement = 'SELECT data_version AS version, total_changes() AS changes FROM pragma_data_version()'
+const WatchStartStatement = `
+SELECT data_version AS version, total_changes() AS changes, (SELECT COALESCE(MAX(seq), 0) FROM "%s_changes") AS seq
+FROM pragma_data_version()
 `
-const SelectKeyStatementPrefix = "SELECT * FROM %s WHERE key IN "
-const DeleteStatement = "DELETE FROM %s WHERE key IN ($keys)"
-const TruncateStatement = "DELETE FROM %s"
-const PurgeExpiredStatement = "DELETE FROM %s WHERE expire_at < $ts"
-const UpsertManyStatementPrefix = "INSERT OR REPLACE INTO %s(key, val, created_at, expire_at) VALUES "
+const SelectKeyStatementPrefix = 'SELECT * FROM "%s" WHERE key IN '
+const DeleteStatementPrefix = 'DELETE FROM "%s" WHERE key IN '
+const TruncateStatement = 'DELETE FROM "%s"'
+const PurgeExpiredStatement = 'DELETE FROM "%s" WHERE expire_at < $ts'
+const SweepExpiredStatement = 'DELETE FROM "%s" WHERE key IN (SELECT key FROM "%s" WHERE expire_at < $ts LIMIT $limit)'
+const IncrementalVacuumStatement = "PRAGMA main.incremental_vacuum(%d)"
+const CheckpointStatement = "PRAGMA main.wal_checkpoint(PASSIVE)"
+const DropTableStatement = 'DROP TABLE IF EXISTS "%s"'
+const DropSchemaVersionStatement = 'DELETE FROM cache_schema WHERE name = $name'
+const StatsStatement = `
+SELECT (SELECT COUNT(*) FROM "%s") AS entries, page_count * page_size AS size 
+FROM pragma_page_count(), pragma_page_size()
+`
+const UpsertManyStatementPrefix = 'INSERT INTO "%s"(key, val, created_at, expire_at, accessed_at, fresh_until, codec, key_id, ttl, sliding, serializer, meta) VALUES '
+// Overwrites bump version of entry, so `compareAndSet` can tell whether entry changed since it was read
+const UpsertManyStatementSuffix = `
+ON CONFLICT(key) DO UPDATE SET val = excluded.val, created_at = excluded.created_at, expire_at = excluded.expire_at, 
+    accessed_at = excluded.accessed_at, hits = 0, fresh_until = excluded.fresh_until, codec = excluded.codec, 
+    key_id = excluded.key_id, ttl = excluded.ttl, sliding = excluded.sliding, serializer = excluded.serializer, 
+    meta = excluded.meta, version = version + 1
+`
+const SelectEntryStatement = 'SELECT * FROM "%s" WHERE key = $key'
+// Import writes entry unless existing one is kept per conflict policy (`WHERE %s`, see ImportConflicts)
+const ImportStatement = `
+INSERT INTO "%s"(key, val, created_at, expire_at, accessed_at, fresh_until, codec, key_id, ttl, sliding, serializer, meta) 
+VALUES ($key, $val, $created, $expire, $ts, $fresh, $codec, $keyId, $ttl, $sliding, $serializer, $meta)` + UpsertManyStatementSuffix + "WHERE %s"
+const ImportUntagStatement = 'DELETE FROM "%s_tags" WHERE key = $key AND NOT EXISTS (SELECT 1 FROM "%s" WHERE key = $key AND NOT (%s))'
+const ImportTagStatement = `
+INSERT OR IGNORE INTO "%s_tags"(tag, key) SELECT value, $key FROM json_each($tags) 
+WHERE NOT EXISTS (SELECT 1 FROM "%s" WHERE key = $key AND NOT (%s))
+`
+const ExportPageStatement = `
+SELECT * FROM "%s" 
+WHERE key GLOB $pattern AND COALESCE(fresh_until, expire_at) > $ts AND ($cursor IS NULL OR key > $cursor) 
+ORDER BY key LIMIT $limit
+`
+const SelectTagsStatementPrefix = 'SELECT tag, key FROM "%s_tags" WHERE key IN '
+const DeleteExpiredEntryStatement = 'DELETE FROM "%s" WHERE key = $key AND expire_at <= $ts'
+// Corrupted entry is only deleted when nobody has overwritten it since it was read
+const DeleteCorruptedStatement = 'DELETE FROM "%s" WHERE key = $key AND version IS $version'
+const InsertIfMissingStatement = `
+INSERT INTO "%s"(key, val, created_at, expire_at, accessed_at, fresh_until, codec, key_id, ttl, sliding, serializer, meta) 
+VALUES ($key, $val, $ts, $expire, $ts, $fresh, $codec, $keyId, $ttl, $sliding, $serializer, $meta) 
+ON CONFLICT(key) DO NOTHING
+`
+const CompareAndSetStatement = `
+UPDATE "%s" SET val = $val, created_at = $ts, expire_at = $expire, accessed_at = $ts, hits = 0, fresh_until = $fresh, 
+    codec = $codec, key_id = $keyId, ttl = $ttl, sliding = $sliding, serializer = $serializer, meta = $meta,
+    version = version + 1
+WHERE key = $key AND version = $version
+`
+// Counters keep plain numbers in `val` (never compressed or encrypted), so they can be updated in place by SQL
+const CounterCodec = 'counter'
+const IncrementStatement = `
+INSERT INTO "%s"(key, val, created_at, expire_at, accessed_at, fresh_until, codec, key_id, ttl) 
+VALUES ($key, $by, $ts, $expire, $ts, $expire, '${CounterCodec}', NULL, $ttl) 
+ON CONFLICT(key) DO UPDATE SET val = val + $by, version = version + 1 WHERE codec = '${CounterCodec}'
+RETURNING val
+`
+const UntagStatementPrefix = 'DELETE FROM "%s_tags" WHERE key IN '
+const TagManyStatementPrefix = 'INSERT OR IGNORE INTO "%s_tags"(tag, key) VALUES '
+const InvalidateTagsStatement = 'DELETE FROM "%s" WHERE key IN (SELECT key FROM "%s_tags" WHERE tag IN %s)'
+const TouchStatementPrefix = 'UPDATE "%s" SET accessed_at = ?, hits = hits + 1 WHERE key IN '
+// Pushes expiry of sliding entries forward by their TTL, keeping their stale window
+const SlideStatementPrefix = `
+UPDATE "%s" SET fresh_until = ? + ttl, expire_at = ? + ttl + expire_at - COALESCE(fresh_until, expire_at) 
+WHERE sliding = 1 AND ttl > 0 AND key IN 
+`
+// Restarts expiry of live entry with `$ttl` (entry's own TTL, or `$default` for entries of older versions,
+// when null), TTL of 0 means entry never expires. New TTL is kept as entry's TTL unless `$keep` is set.
+const ExpireStatement = `
+UPDATE "%s" SET 
+    fresh_until = CASE WHEN COALESCE($ttl, ttl, $default) > 0 THEN $ts + COALESCE($ttl, ttl, $default) ELSE $never END,
+    expire_at = CASE WHEN COALESCE($ttl, ttl, $default) > 0 
+        THEN $ts + COALESCE($ttl, ttl, $default) + expire_at - COALESCE(fresh_until, expire_at) ELSE $never END,
+    ttl = CASE WHEN $keep THEN ttl ELSE $ttl END,
+    accessed_at = $ts
+WHERE key = $key AND expire_at > $ts
+`
+const EvictEntriesStatement = 'DELETE FROM "%s" WHERE key IN (SELECT key FROM "%s" ORDER BY %s LIMIT -1 OFFSET $max)'
+const EvictBytesStatement = `
+DELETE FROM "%s" WHERE key IN (
+    SELECT key FROM (
+        SELECT key, SUM(length(val)) OVER (ORDER BY %s ROWS UNBOUNDED PRECEDING) AS total FROM "%s"
+    ) WHERE total > $max
+)
+`
+
+// Whether existing entry gives way to imported one for each conflict policy, expired entries always do
+const ImportConflicts = {
+    overwrite: '1',
+    skip: 'expire_at <= $ts',
+    'keep-newer': 'expire_at <= $ts OR created_at < $created'
+}
+
+// Row ordering from most valuable to least valuable entry for each eviction policy
+const EvictionOrder = {
+    lru: 'accessed_at DESC, key',
+    lfu: 'hits DESC, accessed_at DESC, key'
+}
+const SelectKeysStatement = `
+SELECT key FROM "%s" 
+WHERE key GLOB $pattern AND expire_at > $ts AND ($cursor IS NULL OR key > $cursor) 
+ORDER BY key LIMIT $limit
+`
+const DeleteByPatternStatement = 'DELETE FROM "%s" WHERE key GLOB $pattern'
+const AcquireLockStatement = `
+INSERT INTO "%s_locks"(key, owner, expire_at) VALUES ($key, $owner, $expire) 
+ON CONFLICT(key) DO UPDATE SET owner = excluded.owner, expire_at = excluded.expire_at WHERE expire_at < $ts
+`
+const ReleaseLockStatement = 'DELETE FROM "%s_locks" WHERE key = $key AND owner = $owner'
+
+// Statements are split so none binds more parameters than this, the lowest limit of SQLite builds in the wild
+const MaxBoundParameters = 999
+
+// Write-behind window in milliseconds and number of pending writes forcing an early flush
+const DefaultWriteBehind = {
+    window: 10,
+    maxBatch: 1000
+}
+
+// Entries read per statement by `export` and written per transaction by `import`
+const ExportPageSize = 500
+const DefaultImportBatch = 1000
+
+// Expiry timestamp of entries written with TTL of 0
+const NeverExpires = Number.MAX_SAFE_INTEGER
+
+// Serialized payloads smaller than this many bytes are stored uncompressed
+const DefaultCompressionThreshold = 1024
+
+// Background sweeper intervals are in milliseconds
+const DefaultSweeper = {
+    interval: 60 * 1000,
+    batchSize: 1000,
+    vacuumInterval: 5 * 60 * 1000,
+    vacuumPages: 1000,
+    checkpointInterval: 5 * 60 * 1000
+}
+
+// In-process L1 size in entries and staleness bound in milliseconds
+const DefaultMemory = {
+    max: 1000,
+    staleness: 1000
+}
+
+// Lock lease, wait limit and poll interval of `wrap` in milliseconds
+const DefaultLockTimeout = 30 * 1000
+const DefaultWaitTimeout = 10 * 1000
+const DefaultPollInterval = 50
+
+// How often change log is polled for watchers, in milliseconds
+const DefaultWatchInterval = 100
+
+// What writes do with values that can't be serialized: fail, leave entry alone or store null in its place
+const SerializationPolicies = ['throw', 'skip', 'null']
 
 function isObject(o) {
     return o !== null && typeof o === 'object'
@@ -48,10 +210,284 @@ function tuplize(args, size) {
     return ret
 }
 
+/**
+ * Rows past soft expiry are stale until `expire_at`, rows written by older versions have no soft expiry
+ */
+function freshUntil(row) {
+    return typeof row.fresh_until === 'number' ? row.fresh_until : row.expire_at
+}
+
+/**
+ * Maps expiry timestamp of entries that never expire to Infinity
+ */
+function expiryTime(ts) {
+    return ts >= NeverExpires ? Infinity : ts
+}
+
+function sleep(ms) {
+    return new Promise(ok => setTimeout(ok, ms))
+}
+
+/**
+ * Decodes value of entry `row` as written by any store: decrypts it with `encryption` (null for none), then
+ * decompresses it by its own codec and deserializes it with serializer that wrote it. Rows written before
+ * encryption was turned on carry no key id and are read as is. Rows written before the serializer was recorded,
+ * or recorded as `serializerId`, are read with `serializer`.
+ */
+function decodeRow(row, serializer, encryption, serializerId = null) {
+    if (row.codec === CounterCodec) {
+        return row.val
+    }
+
+    let val = row.val
+    if (row.key_id) {
+        if (!encryption) {
+            throw new DecryptionError(util.format('Entry is encrypted with key %s but store has no encryption', row.key_id), row.key, row.key_id)
+        }
+
+        val = encryption.decrypt(val, row.key, row.key_id)
+    }
+
+    const format = !row.serializer || row.serializer === serializerId ? serializer : resolveSerializer(row.serializer)
+    if (!row.codec) {
+        return format.deserialize(val)
+    }
+
+    const [codec, encoding] = row.codec.split(':')
+    const payload = codecs[codec].decompress(val)
+    return format.deserialize(encoding ? payload.toString(encoding) : payload)
+}
+
 function generatePlaceHolders(length) {
     return '(' + ('?'.repeat(length).split('').join(', ')) + ')'
 }
 
+/**
+ * Drops parameters of named `binding` that `stmt` doesn't use, drivers refuse to bind unknown ones
+ */
+function usedBinding(stmt, binding) {
+    return Object.fromEntries(Object.entries(binding).filter(([k]) => new RegExp('\\' + k + '\\b').test(stmt)))
+}
+
+/**
+ * Splits `items` binding `width` parameters each into batches that stay within MaxBoundParameters, leaving room
+ * for `reserved` parameters bound along with each batch
+ */
+function batches(items, width, reserved = 0) {
+    return tuplize(items, Math.max(1, Math.floor((MaxBoundParameters - reserved) / width)))
+}
+
+// Last transaction queued on each database handle, statements of two transactions must not interleave on it
+const transactions = new WeakMap()
+
+/**
+ * Runs `statements` one after another in an immediate transaction of `db`, once transactions queued before on
+ * the handle ended. Stops at first failing statement and rolls back, yielding its error, or number of changed
+ * rows of each statement once committed.
+ */
+function transaction(db, statements, cb) {
+    const previous = transactions.get(db) || Promise.resolve()
+    transactions.set(db, previous.then(() => new Promise(ok => {
+        const changes = []
+        const finish = err => {
+            ok()
+            cb(err, err ? undefined : changes)
+        }
+        const rollback = err => db.run('ROLLBACK', [], () => finish(err))
+
+        const step = i => {
+            if (i === statements.length) {
+                return db.run('COMMIT', [], err => err ? rollback(err) : finish(null))
+            }
+
+            const [stmt, binding] = statements[i]
+            db.run(stmt, binding, function (err) {
+                if (err) {
+                    return rollback(err)
+                }
+
+                changes.push(this.changes)
+                step(i + 1)
+            })
+        }
+
+        db.run('BEGIN IMMEDIATE', [], err => err ? finish(err) : step(0))
+    })))
+}
+
+// Database handles shared by stores opened on same file, a handle is closed when last store using it closes. A file
+// is open with one driver per process, bundled copies of SQLite don't see each other's locks on it.
+const handles = new Map()
+
+/**
+ * Opens database of `file` with `driver` or takes reference on already open one, `onOpen` is called for every
+ * store once handle is open. In memory databases are never shared. Throws when `file` is open with another driver.
+ */
+function openDatabase(driver, file, mode, onOpen) {
+    const notify = err => onOpen && onOpen(err)
+    if (file === '' || file === ':memory:') {
+        return resolveDriver(driver).open(file, mode, notify)
+    }
+
+    let handle = handles.get(file)
+    if (handle && handle.driver !== driver) {
+        throw new Error(util.format('Database %s is already open with driver %s, can not open it with %s',
+            file, handle.driver, driver))
+    }
+
+    if (!handle) {
+        let db = null
+        const opened = new Promise(ok => db = resolveDriver(driver).open(file, mode, ok))
+        handle = {db, driver, opened, refs: 0}
+        handles.set(file, handle)
+
+        // Failed handle must not be handed out to stores opened later
+        opened.then(err => err && handles.get(file) === handle && handles.delete(file))
+    }
+
+    handle.refs++
+    handle.opened.then(err => notify(err || null))
+    return handle.db
+}
+
+/**
+ * Drops reference of a store on database handle, closing it when no other store uses it
+ */
+function releaseDatabase(file, db, cb) {
+    const handle = handles.get(file)
+    if (handle && handle.db === db && --handle.refs > 0) {
+        return cb(null)
+    }
+
+    if (handle && handle.db === db) {
+        handles.delete(file)
+    }
+
+    db.close(err => cb(err || null))
+}
+
+// Migrations running per database file in this process, settle once last one queued is done
+const migrating = new Map()
+
+/**
+ * Runs `task` once migrations of `file` queued before it in this process are done, then passes its result to
+ * `cb`. Connections of synchronous drivers waiting on each other's write lock would block the event loop that
+ * has to release it.
+ */
+function serializeMigration(file, task, cb) {
+    const run = (migrating.get(file) || Promise.resolve()).then(() => new Promise(ok => task(err => {
+        ok()
+        cb(err)
+    })))
+
+    migrating.set(file, run)
+    run.then(() => migrating.get(file) === run && migrating.delete(file))
+}
+
+/**
+ * Returns predicate telling whether key matches glob `pattern`, with same syntax as SQLite GLOB: `*`, `?`, and
+ * `[...]` classes negated by `^`
+ */
+function globMatcher(pattern) {
+    let source = ''
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i]
+        const close = c === '[' ? pattern.indexOf(']', i + (pattern[i + 1] === '^' ? 3 : 2)) : -1
+        if (c === '*') {
+            source += '[\\s\\S]*'
+        } else if (c === '?') {
+            source += '[\\s\\S]'
+        } else if (close > 0) {
+            const negated = pattern[i + 1] === '^'
+            const members = pattern.slice(i + (negated ? 2 : 1), close)
+            source += '[' + (negated ? '^' : '') + members.replace(/[\\\]^]/g, '\\$&') + ']'
+            i = close
+        } else {
+            source += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        }
+    }
+
+    const regexp = new RegExp('^' + source + '$')
+    return key => regexp.test(key)
+}
+
+/**
+ * Returns user metadata of set `options` as stored, null when there is none
+ */
+function entryMetadata(options) {
+    return options.metadata === undefined || options.metadata === null ? null : JSON.stringify(options.metadata)
+}
+
+/**
+ * Extracts size bounds from open options, returns null when no bound is configured
+ */
+function evictionOptions(options) {
+    const maxEntries = typeof options.maxEntries === 'number' ? options.maxEntries : undefined
+    const maxBytes = typeof options.maxBytes === 'number' ? options.maxBytes : undefined
+    const policy = options.evictionPolicy || 'lru'
+
+    if (!EvictionOrder[policy]) {
+        throw new Error(util.format('Unknown eviction policy %s, expected one of: %s', policy, Object.keys(EvictionOrder).join(', ')))
+    }
+
+    if (maxEntries === undefined && maxBytes === undefined) {
+        return null
+    }
+
+    return {maxEntries, maxBytes, policy}
+}
+
+/**
+ * Extracts compression settings from open options, returns null when compression is off
+ */
+function compressionOptions(options) {
+    const codec = options.compression
+    if (!codec) {
+        return null
+    }
+
+    if (!codecs[codec]) {
+        throw new Error(util.format('Unknown compression codec %s, expected one of: %s', codec, Object.keys(codecs).join(', ')))
+    }
+
+    const threshold = typeof options.compressionThreshold === 'number' ? options.compressionThreshold : DefaultCompressionThreshold
+    return {codec, threshold}
+}
+
+/**
+ * Extracts in-process L1 settings from open options, returns null when L1 is off
+ */
+function memoryOptions(options) {
+    if (!options.memory) {
+        return null
+    }
+
+    return {...DefaultMemory, ...(isObject(options.memory) ? options.memory : {})}
+}
+
+/**
+ * Validates `onSerializationError` of open options, `skip` by default
+ */
+function serializationPolicy(options) {
+    const policy = options.onSerializationError || 'skip'
+    if (!SerializationPolicies.includes(policy)) {
+        throw new Error(util.format('Unknown serialization error policy %s, expected one of: %s', policy, SerializationPolicies.join(', ')))
+    }
+
+    return policy
+}
+
+/**
+ * Extracts write-behind settings from open options, returns null when writes go straight to database
+ */
+function writeBehindOptions(options) {
+    if (!options.writeBehind) {
+        return null
+    }
+
+    return {...DefaultWriteBehind, ...(isObject(options.writeBehind) ? options.writeBehind : {})}
+}
+
 /**
  * Promisified allows `run` to execute in a promise agnostic way, allowing compatibility with callbacks.
  * This will allow us to act like callback async when callback is passed in `cb`, otherwise otherwise
@@ -73,52 +509,344 @@ function promisified(cb, run) {
  * @property {function} onOpen callback function when database open if failure or success
  * @property {function} onReady callback function when database table for key-value space has been created
  * @property {number} flags sqlite3 open flags for database file
+ * @property {string} driver `sqlite3` (default), `better-sqlite3` or `node:sqlite`
+ * @property {number} ttl default TTL in seconds, 0 means entries never expire
+ * @property {boolean} sliding reads push expiry of entries forward by their TTL, unless set says otherwise
+ * @property {number} staleTtl default window in seconds during which entries are kept as stale after TTL
+ * @property {string|object} serializer `cbor`, `json` or custom serializer object
+ * @property {string} onSerializationError what writes do with values that can't be serialized: `throw`, `skip`
+ *                    (default, reported with `serializationError` event) or `null` (stored as null, reported too)
+ * @property {boolean} deleteCorrupted deletes entries that can't be read back once reported with `corrupt` event
+ * @property {number} maxEntries maximum number of entries kept before evicting
+ * @property {number} maxBytes maximum total size of serialized values kept before evicting
+ * @property {string} evictionPolicy `lru` (default) or `lfu`
+ * @property {string} compression `gzip`, `deflate` or `brotli` to compress serialized values, off by default
+ * @property {number} compressionThreshold minimum size in bytes of serialized value to compress (default 1024)
+ * @property {EncryptionOptions} encryption encrypts values at rest with AES-256-GCM when set
+ * @property {boolean|SweeperOptions} sweeper runs background expiry sweeper, vacuum and WAL checkpoints when set
+ * @property {boolean|MemoryOptions} memory keeps recently read entries in an in-process L1 in front of SQLite when set
+ * @property {boolean|WriteBehindOptions} writeBehind coalesces writes arriving within a short window into one transaction
+ * @property {boolean} trackHits counts reads of each entry, reported as `hits` by `getWithMetadata` (on with size bounds)
+ * @property {number} watchInterval how often change log is polled for `watch` listeners, in milliseconds (default 100)
+ */
+
+/**
+ * @typedef {object} WriteBehindOptions
+ * @property {number} window how long writes are held before flushing, in milliseconds (default 10)
+ * @property {number} maxBatch number of pending keys that triggers flush right away (default 1000)
+ */
+
+/**
+ * @typedef {object} MemoryOptions
+ * @property {number} max number of entries kept in memory (default 1000)
+ * @property {number} staleness longest time in milliseconds a value overwritten by another process may still
+ *                    be served from memory (default 1000), change log is polled twice as often
+ */
+
+/**
+ * @typedef {object} SweeperOptions
+ * @property {number} interval between expiry sweeps in milliseconds (default 1 minute)
+ * @property {number} batchSize maximum number of expired entries deleted per statement (default 1000)
+ * @property {number} vacuumInterval between incremental vacuums in milliseconds (default 5 minutes)
+ * @property {number} vacuumPages maximum number of free pages reclaimed per vacuum (default 1000)
+ * @property {number} checkpointInterval between passive WAL checkpoints in milliseconds (default 5 minutes)
+ */
+
+/**
+ * @typedef {object} SqliteSetOptions
+ * @property {number} ttl in seconds, 0 means entry never expires
+ * @property {boolean} sliding reads push expiry of entry forward by its TTL (default is store's `sliding`)
+ * @property {number} staleTtl window in seconds after `ttl` during which entry can still be served as stale
+ * @property {string[]} tags to attach to entries, see `invalidateTags`
+ * @property {*} metadata JSON encodable data kept along with entry (ETag, Last-Modified and the like), see
+ *           `getWithMetadata`
+ */
+
+/**
+ * @typedef {object} SqliteWrapOptions
+ * @property {number} ttl in seconds for loaded value, other `SqliteSetOptions` are passed to `set` as well
+ * @property {number} lockTimeout lease of loader lock in milliseconds, so a crashed process can't wedge the key
+ * @property {number} waitTimeout how long to wait for another process before loading locally, in milliseconds
+ * @property {number} pollInterval how often waiting processes check for value, in milliseconds
+ * @property {boolean} staleWhileRevalidate return stale value right away and refresh it in background
+ * @property {boolean} staleIfError return stale value when loader fails
  */
 
-class SqliteCacheAdapter {
+/**
+ * @typedef {object} SqliteStats
+ * @property {number} hits reads served from cache
+ * @property {number} misses reads of missing, expired or (unless allowed) stale entries
+ * @property {number} expired reads that found an expired entry
+ * @property {number} writes entries written
+ * @property {number} deletes entries deleted by `del`, `delByPattern` and `invalidateTags`
+ * @property {number} purged expired entries removed by purging and sweeps
+ * @property {number} evicted entries removed by eviction
+ * @property {number} memoryHits reads answered by in-process L1 without querying SQLite
+ * @property {number} entries currently in key-value space, including expired ones not purged yet
+ * @property {number} dbSize size of database in bytes
+ * @property {number} walSize size of write-ahead log in bytes
+ * @property {object} latency histogram of milliseconds taken per operation, see `Histogram`
+ */
+
+/**
+ * @typedef {object} SqliteEntryMetadata
+ * @property {*} value of entry
+ * @property {boolean} stale when entry is past its TTL but within its stale window
+ * @property {number} expiresAt timestamp (ms) entry stops being fresh, Infinity when it never expires
+ * @property {number} staleUntil timestamp (ms) entry is removed, Infinity when it never expires
+ * @property {number} createdAt timestamp (ms) entry was written
+ * @property {number} size of stored payload in bytes, after compression and encryption
+ * @property {number} hits reads of entry, counted only by stores with size bounds or `trackHits`
+ * @property {number} version of entry, bumped by every write of its value
+ * @property {*} metadata attached to entry by `set`, undefined when there is none
+ */
+
+/**
+ * Emits `hit`, `miss`, `expire`, `set` and `del` with key of entry, and `error` with failures of operations
+ * (only when `error` has listeners).
+ */
+class SqliteCacheAdapter extends EventEmitter {
     /**
-     * @property {sqlite.Database} db for db instance
+     * @property {object} db database handle of driver, sqlite3 `Database` or a lookalike of it
      */
     db = null
 
     // Name of key-value space
     #name = null
 
+    // Resolved path of database file, key of shared database handle along with driver name
+    #file = null
+
+    #driver = null
+
+    // Settles once key-value space is ready, rejects with open or setup failure
+    #ready = null
+
+    // Set once key-value space is ready, operations started before wait for it
+    #isReady = false
+
+    #closed = false
+
+    // Failure of opening database file, operations fail with it
+    #openError = null
+
+    // Operation counters of this store, reported by `stats`
+    #counters = {hits: 0, misses: 0, expired: 0, writes: 0, deletes: 0, purged: 0, evicted: 0, memoryHits: 0}
+
+    // Latency histogram per operation name
+    #latency = {}
+
     // Seralizer to serialize/deserialize payloads
     #serializer = null
 
+    // Id of serializer recorded with rows it writes, null for custom serializer objects without `name`
+    #serializerId = null
+
+    // One of SerializationPolicies
+    #onSerializationError = 'skip'
+
+    // Deletes entries that can't be read back once they are reported
+    #deleteCorrupted = false
+
+    // Codec and size threshold for compressing payloads, null when compression is off
+    #compression = null
+
+    // Encrypts/decrypts payloads, null when encryption is off
+    #encryption = null
+
     // TTL in seconds
     #default_ttl = 24 * 60 * 60
 
+    // Stale window in seconds
+    #default_stale_ttl = 0
+
+    // Whether entries slide their expiry on reads unless set says otherwise
+    #sliding = false
+
+    // Size bounds and policy used by eviction pass, null when store is unbounded
+    #eviction = null
+
+    // Counts hits of entries even when store is unbounded
+    #trackHits = false
+
+    #evictionScheduled = false
+
+    // Sweeper settings, null when background sweeper is off
+    #sweeper = null
+
+    #sweeping = false
+
+    // In-process L1 and its settings, null when L1 is off
+    #memory = null
+
+    #memoryOptions = null
+
+    // Last change log sequence applied to L1, null until first sync
+    #changeSeq = null
+
+    // When last successful change log sync started, L1 is bypassed once it is older than staleness bound
+    #syncedAt = 0
+
+    #syncing = false
+
+    // Listeners of `watch`, each `{matches, listener}`
+    #watchers = new Set()
+
+    #watchInterval = DefaultWatchInterval
+
+    #watchTimer = null
+
+    // Last change log sequence delivered to watchers, null until poller has read where log stands
+    #watchSeq = null
+
+    // Data version and change count seen by last poll, change log is only read once they move
+    #watchMark = null
+
+    #polling = false
+
+    // Write-behind settings, null when writes go straight to database
+    #writeBehind = null
+
+    // Writes waiting for flush by key, `options` of deletes is null
+    #pending = new Map()
+
+    // Callbacks of writes waiting for flush
+    #waiting = []
+
+    #flushTimer = null
+
+    // Settles once last flush is committed
+    #flushed = Promise.resolve()
+
+    // Background timers, cleared on close
+    #timers = []
+
     /**
      * @param {string} name of key-value space
-     * @param {string} path of database file
+     * @param {string} file path of database
      * @param {SqliteOpenOptions} options for opening database
      */
-    constructor(name, path, options) {
-        const mode = options.flags || (sqlite.OPEN_CREATE | sqlite.OPEN_READWRITE)
+    constructor(name, file, options) {
+        super()
+        const mode = options.flags || (OPEN_CREATE | OPEN_READWRITE)
         const ser = options.serializer
         this.#name = name
         this.#default_ttl = typeof options.ttl === 'number' ? options.ttl : this.#default_ttl
-        this.#serializer = isObject(ser) ? ser : serializers[ser || 'cbor']
+        this.#default_stale_ttl = typeof options.staleTtl === 'number' ? options.staleTtl : this.#default_stale_ttl
+        this.#sliding = !!options.sliding
+        this.#serializerId = isObject(ser) ? (typeof ser.name === 'string' ? ser.name : null) : (ser || 'cbor')
+        this.#serializer = isObject(ser) ? ser : resolveSerializer(this.#serializerId)
+        this.#onSerializationError = serializationPolicy(options)
+        this.#deleteCorrupted = !!options.deleteCorrupted
+        this.#eviction = evictionOptions(options)
+        this.#trackHits = !!options.trackHits
+        this.#compression = compressionOptions(options)
+        this.#encryption = options.encryption ? createEncryption(options.encryption) : null
+        this.#sweeper = options.sweeper ? {...DefaultSweeper, ...(isObject(options.sweeper) ? options.sweeper : {})} : null
+        this.#memoryOptions = memoryOptions(options)
+        this.#memory = this.#memoryOptions ? new MemoryLayer(this.#memoryOptions.max) : null
+        this.#writeBehind = writeBehindOptions(options)
+        this.#watchInterval = options.watchInterval || DefaultWatchInterval
 
-        this.db = new sqlite.cached.Database(path, mode, options.onOpen)
-        this.db.serialize(() => {
-            const stmt = ConfigurePragmas + util.format(CreateTableStatement, name, name, name)
-            this.db.exec(stmt, options.onReady)
+        this.#file = file === '' || file === ':memory:' ? file : path.resolve(file)
+        let settle = null
+        this.#ready = new Promise((ok, fail) => settle = err => err ? fail(err) : ok())
+
+        // Rejection is reported through `ready()`, store must not crash process when nobody awaits it
+        this.#ready.catch(() => {})
+        const onReady = err => {
+            this.#isReady = !err
+            settle(err)
+            if (options.onReady) {
+                options.onReady(err)
+            }
+        }
+
+        this.#driver = options.driver || 'sqlite3'
+        resolveDriver(this.#driver)
+        this.db = openDatabase(this.#driver, this.#file, mode, err => {
+            if (options.onOpen) {
+                options.onOpen(err)
+            }
+
+            // Statements queued on a handle that failed to open never run, so setup never reports back
+            if (err) {
+                this.#openError = err
+                onReady(err)
+            }
         })
+        this.db.exec(ConfigurePragmas, err => err ? onReady(err) : this.#migrate(mode, onReady))
+
+        if (this.#sweeper) {
+            this.#startSweeper()
+        }
+
+        if (this.#memory) {
+            this.#ready.then(() => this.#startMemorySync(), () => {})
+        }
     }
 
-    _fetch_all(keys, cb) {
-        this.db.serialize(() => {
-            const postFix = generatePlaceHolders(keys.length)
-            const stmt = util.format(SelectKeyStatementPrefix + postFix, this.#name)
-            this.db.all(stmt, keys, (err, rows) => {
+    /**
+     * Brings key-value space to current schema. Migrations of file databases run on a connection of their own,
+     * so statements of other stores sharing the handle don't end up in migration transaction. Other processes
+     * upgrading same file are kept out by migration's write lock.
+     */
+    #migrate(mode, cb) {
+        // Name ends up in every statement, it must not get anywhere near database unless it is a plain identifier
+        const invalid = invalidName(this.#name)
+        if (invalid) {
+            return process.nextTick(() => cb(new Error(invalid)))
+        }
+
+        if (this.#file === '' || this.#file === ':memory:') {
+            return migrate(this.db, this.#name, cb)
+        }
+
+        serializeMigration(this.#file, done => {
+            const conn = resolveDriver(this.#driver).open(this.#file, mode, err => {
                 if (err) {
-                    return cb(err)
+                    return done(err)
                 }
 
-                cb(null, rows)
+                conn.exec(ConfigurePragmas, err => {
+                    if (err) {
+                        return conn.close(() => done(err))
+                    }
+
+                    migrate(conn, this.#name, err => conn.close(closeErr => done(err || closeErr)))
+                })
+            })
+        }, cb)
+    }
+
+    _fetch_all(keys, cb) {
+        const cached = this.#memoryRows(keys)
+        const missing = keys.filter(k => !cached.has(k))
+        if (missing.length === 0) {
+            return process.nextTick(() => cb(null, [...cached.values()]))
+        }
+
+        const fetched = [...cached.values()]
+        const parts = batches(missing, 1)
+        let pending = parts.length
+        let failure = null
+        this.db.serialize(() => {
+            parts.forEach(part => {
+                const stmt = util.format(SelectKeyStatementPrefix + generatePlaceHolders(part.length), this.#name)
+                this.db.all(stmt, part, (err, rows) => {
+                    failure = failure || err
+                    if (!err) {
+                        fetched.push(...rows)
+                    }
+
+                    if (this.#memory && !err) {
+                        rows.forEach(r => this.#memory.set(r.key, r))
+                    }
+
+                    if (--pending === 0) {
+                        cb(failure, failure ? undefined : fetched)
+                    }
+                })
             })
         })
     }
@@ -132,59 +860,139 @@ class SqliteCacheAdapter {
         }
 
         const keys = args
-        return promisified(callback, cb => {
-            const ts = now()
-            this._fetch_all(keys, (err, rs) => {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('mget', done)
+
+            // Writes waiting for flush are read back as they are, rest comes from database
+            const queued = this.#queued(keys)
+            const stored = keys.filter(k => !queued.has(k))
+            this.#fetchLive(stored, options.allowStale, (err, rows) => {
                 if (err) {
                     return cb(err)
                 }
-    
-                const rows = rs.filter(r => r.expire_at > ts)
-                
-                // Schedule cleanup for expired rows
-                if (rows.length < rs.length) {
-                    process.nextTick(() => this.#purgeExpired())
+
+                const byKey = new Map(stored.map((k, i) => [k, rows[i]]))
+                let values
+                try {
+                    values = keys.map(k => {
+                        if (queued.has(k)) {
+                            return queued.get(k)
+                        }
+
+                        const r = byKey.get(k)
+                        return r ? this.#deserialize(r) : undefined
+                    })
+                } catch (e) {
+                    return cb(e)
                 }
 
-                return cb(null, rs.map(r => r.expire_at > ts ? this.#deserialize(r.val) : undefined))
+                return cb(null, values)
             })
+        }, true)
+    }
+
+    /**
+     * Like `get` but yields entry with its metadata, stale entries are included and flagged
+     *
+     * @returns {Promise<SqliteEntryMetadata|undefined>}
+     */
+    getWithMetadata(key, callback) {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('getWithMetadata', done)
+            this.#fetchMetadata([key], (err, entries) => cb(err, err ? undefined : entries[0]))
         })
     }
 
-    mset(...args) {
-        /* 
-        This function does the awkward juggling with because mset instead of taking sane way of having
-        key value pairs as object or nested pairs is flattened in array. What does that mean? 
-        your arguments can will be:
-            key1, value1, key2, value2 .... [options, [callback]]
-        IDK what were authors smoking when coming up with this design but it is what it is.
-        */
+    /**
+     * Yields metadata of all `keys` at once (undefined for missing ones), `mgetWithMetadata(key1, key2, ..., [callback])`
+     *
+     * @returns {Promise<Array<SqliteEntryMetadata|undefined>>}
+     */
+    mgetWithMetadata(...args) {
         const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined
-        let options = {}
+        const keys = args
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('mgetWithMetadata', done)
+            this.#fetchMetadata(keys, cb)
+        })
+    }
+
+    #fetchMetadata(keys, cb) {
+        this.#fetchLive(keys, true, (err, rows, ts) => {
+            if (err) {
+                return cb(err)
+            }
+
+            let entries
+            try {
+                entries = rows.map(row => row && {
+                    value: this.#deserialize(row),
+                    stale: freshUntil(row) <= ts,
+                    expiresAt: expiryTime(freshUntil(row)),
+                    staleUntil: expiryTime(row.expire_at),
+                    createdAt: row.created_at,
+                    size: Buffer.isBuffer(row.val) || row.val instanceof Uint8Array ? row.val.length : Buffer.byteLength(String(row.val)),
+                    hits: row.hits || 0,
+                    version: row.version || 0,
+                    metadata: row.meta ? JSON.parse(row.meta) : undefined
+                })
+            } catch (e) {
+                return cb(e)
+            }
+
+            cb(null, entries)
+        })
+    }
+
+    mset(...args) {
+        /* 
+        This function does the awkward juggling with because mset instead of taking sane way of having
+        key value pairs as object or nested pairs is flattened in array. What does that mean? 
+        your arguments can will be:
+            key1, value1, key2, value2 .... [options, [callback]]
+        IDK what were authors smoking when coming up with this design but it is what it is.
+        */
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined
+        let options = {}
         
         if (args.length % 2 > 0 && isObject(args[args.length - 1])) {
             options = args.pop()
         }
 
         const tuples = tuplize(args, 2)
-        return promisified(callback, cb => {
-            const ttl = (options.ttl || this.#default_ttl) * 1000
-            const ts = now()
-            const expire = ts + ttl            
-            const binding = tuples.map(t => [t[0], this.#serialize(t[1]), ts, expire])
-                                  .filter(t => t[1] !== undefined)
-                                  .flatMap(t => t)
-            const postfix = tuples.map(d => generatePlaceHolders(d.length + 2)).join(', ')
-            const stmt = util.format(UpsertManyStatementPrefix + postfix, this.#name)
-
-            this.db.run(stmt, binding, function (err) {
-                return cb(err, tuples.length == binding.length)
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('mset', done)
+            let encoded, writing
+            try {
+                encoded = this.#serializeAll(tuples)
+                writing = this.#writeStatements(encoded, options, now())
+            } catch (e) {
+                return cb(e)
+            }
+
+            // Queued values are serialized already, a flush can't fail on any of them
+            if (this.#writeBehind) {
+                return this.#enqueue(encoded, options, err => cb(err, encoded.length === tuples.length))
+            }
+
+            const [statements, written] = writing
+
+            // Tagging and batches split for parameter limit must land together
+            this.#runAll(statements, statements.length > 2, (err) => {
+                this.#forget(tuples.map(t => t[0]))
+                if (!err) {
+                    this.#counters.writes += written.length
+                    written.forEach(k => this.emit('set', k))
+                }
+
+                this.#scheduleEviction()
+                return cb(err, written.length === tuples.length)
             })
-        })
+        }, true)
     }
 
     get(key, options, callback) {
-        return promisified(liftCallback(options, callback), cb => {
+        return this.#promisified(liftCallback(options, callback), cb => {
             const opts = liftFirst('object', options) || {}
             this.mget(key, opts, (err, rows) => {
                 if (err) {
@@ -199,7 +1007,10 @@ class SqliteCacheAdapter {
     set(key, value, ttl, options, callback) {
         callback = liftCallback(ttl, options, callback)
         options = liftFirst('object', ttl, options) || {}
-        ttl = (liftFirst('number', ttl) || options.ttl || this.#default_ttl)
+        ttl = liftFirst('number', ttl, options.ttl)
+        if (ttl === undefined) {
+            ttl = this.#default_ttl
+        }
 
         if (callback) {
             return this.mset(key, value, {...options, ttl}, callback)
@@ -208,21 +1019,133 @@ class SqliteCacheAdapter {
         return this.mset(key, value, {...options, ttl})
     }
 
-    del(key, options, callback) {
-        return promisified(liftCallback(options, callback), cb => {
+    /**
+     * Atomically adds `by` (default 1) to counter `key`, safe across processes, yields new value. Missing or
+     * expired counters start from 0 with TTL of `options.ttl`, live ones keep their expiry. Fails when key
+     * holds a value not written by `incr`/`decr`.
+     */
+    incr(key, by, options, callback) {
+        return this.#promisified(liftCallback(by, options, callback), done => {
+            const cb = this.#instrument('incr', done)
+            const amount = liftFirst('number', by)
+            this.#increment(key, amount === undefined ? 1 : amount, liftFirst('object', by, options) || {}, cb)
+        })
+    }
+
+    /**
+     * Same as `incr` but subtracts `by` (default 1)
+     */
+    decr(key, by, options, callback) {
+        return this.#promisified(liftCallback(by, options, callback), done => {
+            const cb = this.#instrument('decr', done)
+            const amount = liftFirst('number', by)
+            this.#increment(key, amount === undefined ? -1 : -amount, liftFirst('object', by, options) || {}, cb)
+        })
+    }
+
+    /**
+     * Sets `key` only when it is missing or expired, yields true when value was written
+     */
+    setIfNotExists(key, value, options, callback) {
+        return this.#promisified(liftCallback(options, callback), done => {
+            const cb = this.#instrument('setIfNotExists', done)
+            this.#insertIfMissing(key, value, liftFirst('object', options) || {}, cb)
+        })
+    }
+
+    /**
+     * Sets `key` to `next` only when its current value deep equals `expected` (undefined meaning missing), and
+     * nobody has written it since it was compared. Yields true when value was written.
+     */
+    compareAndSet(key, expected, next, options, callback) {
+        return this.#promisified(liftCallback(options, callback), done => {
+            const cb = this.#instrument('compareAndSet', done)
+            const opts = liftFirst('object', options) || {}
+            if (expected === undefined) {
+                return this.#insertIfMissing(key, next, opts, cb)
+            }
+
             this.db.serialize(() => {
-                const stmt = util.format(DeleteStatement, this.#name)
-                const binding = {$keys: [key]}
-    
-                this.db.run(stmt, binding, function (err) {
-                    cb(err)
+                this.db.get(util.format(SelectEntryStatement, this.#name), {$key: key}, (err, row) => {
+                    if (err) {
+                        return cb(err)
+                    }
+
+                    const ts = now()
+                    let current
+                    try {
+                        current = row && row.expire_at > ts ? this.#deserialize(row) : undefined
+                    } catch (e) {
+                        return cb(e)
+                    }
+
+                    if (current === undefined || !util.isDeepStrictEqual(current, expected)) {
+                        return cb(null, false)
+                    }
+
+                    let binding
+                    try {
+                        binding = this.#entryBinding(key, next, opts, ts)
+                    } catch (e) {
+                        return cb(e)
+                    }
+
+                    if (!binding) {
+                        return cb(new SerializationError(util.format('Unable to serialize value of key %s', key), key))
+                    }
+
+                    // Version guard makes compare and write atomic, concurrent writer in between makes it a no-op
+                    const written = this.#writtenIf(key, cb)
+                    const stmt = util.format(CompareAndSetStatement, this.#name)
+                    this.db.run(stmt, {...binding, $version: row.version}, function (err) {
+                        written(err, this.changes > 0)
+                    })
                 })
             })
         })
     }
 
+    del(key, options, callback) {
+        return this.#promisified(liftCallback(options, callback), done => {
+            const cb = this.#instrument('del', done)
+            if (this.#writeBehind) {
+                return this.#enqueue([[key]], null, cb)
+            }
+
+            this.#deleteKeys([key], cb)
+        }, true)
+    }
+
+    /**
+     * Deletes all `keys` at once, `mdel(key1, key2, ..., [callback])`
+     */
+    mdel(...args) {
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined
+        if (isObject(args[args.length - 1])) {
+            args.pop()
+        }
+
+        const keys = args
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('mdel', done)
+            if (this.#writeBehind) {
+                return this.#enqueue(keys.map(k => [k]), null, cb)
+            }
+
+            this.#deleteKeys(keys, cb)
+        }, true)
+    }
+
+    /**
+     * Writes pending write-behind writes right away, resolves once they (and earlier flushes) are committed
+     */
+    flush(callback) {
+        return this.#promisified(callback, cb => this.#flush(cb), true)
+    }
+
     reset(callback) {
-        return promisified(liftCallback(callback), cb => {
+        return this.#promisified(liftCallback(callback), done => {
+            const cb = this.#instrument('reset', this.#clearingMemory(done))
             this.db.serialize(() => {
                 const stmt = util.format(TruncateStatement, this.#name)
                 this.db.run(stmt, {}, function (err) {
@@ -232,8 +1155,71 @@ class SqliteCacheAdapter {
         })
     }
 
+    /**
+     * Deletes every entry carrying any of the `tags` in a single statement, yields number of deleted entries
+     */
+    invalidateTags(tags, callback) {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('invalidateTags', this.#clearingMemory(this.#counting('deletes', done)))
+            const list = Array.isArray(tags) ? tags : [tags]
+            const statements = batches(list, 1).map(part => [
+                util.format(InvalidateTagsStatement, this.#name, this.#name, generatePlaceHolders(part.length)), part
+            ])
+            this.#runAll(statements, statements.length > 1, (err, changes) => {
+                cb(err, err ? undefined : changes.reduce((a, b) => a + b, 0))
+            })
+        })
+    }
+
+    /**
+     * Lists live keys matching glob `pattern` (default `*`), ordered by key. Large tables can be paged
+     * by passing `{limit}` and then `{cursor, limit}` where cursor is the last key of previous page.
+     */
+    keys(pattern, options, callback) {
+        return this.#promisified(liftCallback(pattern, options, callback), done => {
+            const cb = this.#instrument('keys', done)
+            const opts = liftFirst('object', pattern, options) || {}
+            const binding = {
+                $pattern: liftFirst('string', pattern) || '*',
+                $ts: now(),
+                $cursor: opts.cursor === undefined ? null : opts.cursor,
+                $limit: typeof opts.limit === 'number' ? opts.limit : -1
+            }
+
+            this.db.serialize(() => {
+                const stmt = util.format(SelectKeysStatement, this.#name)
+                this.db.all(stmt, binding, (err, rows) => {
+                    if (err) {
+                        return cb(err)
+                    }
+
+                    cb(null, rows.map(r => r.key))
+                })
+            })
+        })
+    }
+
+    /**
+     * Deletes every key matching glob `pattern` in a single statement, yields number of deleted rows
+     */
+    delByPattern(pattern, callback) {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('delByPattern', this.#clearingMemory(this.#counting('deletes', done)))
+            this.db.serialize(() => {
+                const stmt = util.format(DeleteByPatternStatement, this.#name)
+                this.db.run(stmt, {$pattern: pattern}, function (err) {
+                    cb(err, err ? undefined : this.changes)
+                })
+            })
+        })
+    }
+
+    /**
+     * Yields milliseconds until entry stops being fresh, -1 when it is missing and Infinity when it never expires
+     */
     ttl(key, callback) {
-        return promisified(callback, cb => {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('ttl', done)
             this._fetch_all([key], (err, rows) => {
                 if (err) {
                     return cb(err)
@@ -243,44 +1229,1474 @@ class SqliteCacheAdapter {
                     return cb(null, -1)
                 }
     
-                cb(null, rows[0].expire_at - now())
+                cb(null, expiryTime(freshUntil(rows[0])) - now())
             })
         })
     }
 
-    #serialize(obj) {
-        try {
-            return this.#serializer.serialize(obj)
-        } catch(e) {
-            return undefined
+    /**
+     * Restarts expiry of live entry as if it was just written, with `ttl` in seconds or entry's own TTL when
+     * omitted. Entry keeps its TTL for later touches and sliding. Yields false when entry is missing or expired.
+     */
+    touch(key, ttl, callback) {
+        return this.#promisified(liftCallback(ttl, callback), done => {
+            const cb = this.#instrument('touch', done)
+            const seconds = liftFirst('number', ttl)
+            this.#expire(key, seconds === undefined ? null : seconds * 1000, true, cb)
+        })
+    }
+
+    /**
+     * Sets TTL of live entry to `ttl` seconds from now (0 meaning no expiry), also used for later touches
+     * and sliding. Yields false when entry is missing or expired.
+     */
+    expire(key, ttl, callback) {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('expire', done)
+            this.#expire(key, ttl * 1000, false, cb)
+        })
+    }
+
+    /**
+     * Removes expiry of live entry, yields false when entry is missing or expired
+     */
+    persist(key, callback) {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('persist', done)
+            this.#expire(key, 0, false, cb)
+        })
+    }
+
+    /**
+     * Deletes expired entries in batches of `sweeper.batchSize`, yielding to other statements between batches.
+     * Yields number of deleted entries. Runs periodically when `sweeper` option is set.
+     */
+    sweep(callback) {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('sweep', this.#counting('purged', done))
+            const stmt = util.format(SweepExpiredStatement, this.#name, this.#name)
+            const batchSize = (this.#sweeper || DefaultSweeper).batchSize
+            const ts = now()
+            let purged = 0
+
+            const next = () => {
+                this.db.run(stmt, {$ts: ts, $limit: batchSize}, function (err) {
+                    if (err) {
+                        return cb(err)
+                    }
+
+                    purged += this.changes
+                    return this.changes < batchSize ? cb(null, purged) : setImmediate(next)
+                })
+            }
+
+            next()
+        })
+    }
+
+    /**
+     * Writes live entries (matching glob `options.pattern`, default `*`) to writable `stream` as `options.format`
+     * records, `ndjson` (default) or `cbor`. Records carry key, value and remaining TTL in seconds (0 when entry
+     * never expires), along with stale window, tags, creation time and sliding and counter flags when set. Stale
+     * entries are left out. Stream is ended unless `options.end` is false. Yields number of exported entries.
+     */
+    export(stream, options, callback) {
+        return this.#promisified(liftCallback(options, callback), done => {
+            const cb = this.#instrument('export', done)
+            const opts = liftFirst('object', options) || {}
+            this.#export(stream, opts).then(n => cb(null, n), cb)
+        })
+    }
+
+    /**
+     * Loads records written by `export` from readable `stream` in transactions of `options.batchSize` entries.
+     * Existing live entries are replaced per `options.onConflict`: `overwrite` (default), `skip` or `keep-newer`
+     * (replaced only by records created later). Yields counts of `imported` and `skipped` entries.
+     */
+    import(stream, options, callback) {
+        return this.#promisified(liftCallback(options, callback), done => {
+            const cb = this.#instrument('import', done)
+            const opts = liftFirst('object', options) || {}
+            this.#import(stream, opts).then(n => cb(null, n), cb)
+        })
+    }
+
+    /**
+     * Copies whole database file, every key-value space in it, to `file` with SQLite online backup API. Copy is
+     * a consistent snapshot even while other processes write to the database.
+     */
+    backup(file, callback) {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('backup', done)
+            resolveDriver(this.#driver).backup(this.db, path.resolve(file), cb)
+        })
+    }
+
+    /**
+     * Yields operation counters of this store along with size of key-value space and database files
+     *
+     * @returns {Promise<SqliteStats>}
+     */
+    stats(callback) {
+        return this.#promisified(callback, cb => {
+            const counters = {...this.#counters}
+            const latency = Object.fromEntries(Object.entries(this.#latency).map(([op, h]) => [op, h.toJSON()]))
+
+            this.db.serialize(() => {
+                this.db.get(util.format(StatsStatement, this.#name), (err, row) => {
+                    if (err) {
+                        return cb(err)
+                    }
+
+                    const wal = this.#file === '' || this.#file === ':memory:' ? null : this.#file + '-wal'
+                    const report = walSize => cb(null, {...counters, entries: row.entries, dbSize: row.size, walSize, latency})
+                    if (!wal) {
+                        return report(0)
+                    }
+
+                    fs.stat(wal, (err, st) => report(err ? 0 : st.size))
+                })
+            })
+        })
+    }
+
+    /**
+     * Calls `listener` with `{key, op, seq}` whenever an entry with key matching `keyOrPattern` (glob, as in `keys`)
+     * is set (`set`), deleted (`del`) or removed after it expired (`expire`) by any process sharing the database.
+     * Changes are read from change log every `watchInterval` milliseconds. When more changes happened between
+     * polls than change log keeps, `listener` gets `{key: null, op: 'reset'}` instead: changes were missed and
+     * state derived from store has to be rebuilt. Returns function that stops watching.
+     */
+    watch(keyOrPattern, listener) {
+        if (this.#closed) {
+            throw new StoreClosedError(util.format('Store %s is closed', this.#name))
+        }
+
+        const watcher = {matches: globMatcher(keyOrPattern), listener}
+        this.#watchers.add(watcher)
+        this.#startWatching()
+
+        return () => {
+            this.#watchers.delete(watcher)
+            if (this.#watchers.size === 0) {
+                this.#stopWatching()
+            }
         }
     }
 
-    #deserialize(payload) {
-        try {
-            return this.#serializer.deserialize(payload)
-        } catch(e) {
-            return undefined
+    /**
+     * Resolves once key-value space is ready to use, rejects when database could not be opened or set up
+     */
+    ready(callback) {
+        return promisified(callback, cb => {
+            this.#ready.then(() => cb(null), cb)
+        })
+    }
+
+    /**
+     * Stops background tasks, waits for queued statements, checkpoints WAL and releases database handle
+     * (closed once no other store uses it). Any operation on a closed store fails with StoreClosedError.
+     */
+    close(callback) {
+        return promisified(callback, cb => {
+            if (this.#closed) {
+                return cb(null)
+            }
+
+            this.#closed = true
+            this.#timers.forEach(t => clearInterval(t))
+            this.#timers = []
+            this.#stopWatching()
+
+            // Handle that failed to open has nothing to flush and never calls back on close
+            if (this.#openError) {
+                return cb(null)
+            }
+
+            // Serialized statement runs only after everything queued before it is done, including operations
+            // waiting for key-value space to be ready
+            const release = () => this.#flush(() => this.db.serialize(() => {
+                this.db.run(CheckpointStatement, () => releaseDatabase(this.#file, this.db, cb))
+            }))
+            this.#ready.then(release, release)
+        })
+    }
+
+    /**
+     * Tries to take a lock on `key` shared by all processes using the database file, held until `unlock` or
+     * `options.timeout` milliseconds pass. Yields owner token when acquired, or null when held by someone else.
+     */
+    lock(key, options, callback) {
+        return this.#promisified(liftCallback(options, callback), cb => {
+            const opts = liftFirst('object', options) || {}
+            const ts = now()
+            const owner = util.format('%d:%s', process.pid, crypto.randomBytes(8).toString('hex'))
+            const binding = {$key: key, $owner: owner, $ts: ts, $expire: ts + (opts.timeout || DefaultLockTimeout)}
+
+            this.db.serialize(() => {
+                const stmt = util.format(AcquireLockStatement, this.#name)
+                this.db.run(stmt, binding, function (err) {
+                    cb(err, err ? undefined : (this.changes > 0 ? owner : null))
+                })
+            })
+        })
+    }
+
+    /**
+     * Releases lock on `key` taken with `lock`, yields false when `owner` no longer holds it
+     */
+    unlock(key, owner, callback) {
+        return this.#promisified(callback, cb => {
+            this.db.serialize(() => {
+                const stmt = util.format(ReleaseLockStatement, this.#name)
+                this.db.run(stmt, {$key: key, $owner: owner}, function (err) {
+                    cb(err, err ? undefined : this.changes > 0)
+                })
+            })
+        })
+    }
+
+    /**
+     * Returns cached value of `key`, or calls `loader` (returning value or promise) and caches its result.
+     * Only one process sharing the database runs loader for a key at a time, others poll until value lands.
+     *
+     * @param {string} key
+     * @param {function} loader
+     * @param {SqliteWrapOptions} options
+     */
+    wrap(key, loader, options, callback) {
+        return this.#promisified(liftCallback(options, callback), cb => {
+            const opts = liftFirst('object', options) || {}
+            this.#wrap(key, loader, opts).then(v => cb(null, v), cb)
+        })
+    }
+
+    /**
+     * Runs eviction pass immediately, removing expired entries and then the least valuable entries
+     * (per `evictionPolicy`) until store is within `maxEntries` and `maxBytes`. Yields number of
+     * evicted entries. Pass is scheduled automatically after writes, so calling it is rarely needed.
+     */
+    evict(callback) {
+        return this.#promisified(callback, done => {
+            const cb = this.#instrument('evict', this.#counting('evicted', done))
+            if (!this.#eviction) {
+                return cb(null, 0)
+            }
+
+            const {maxEntries, maxBytes, policy} = this.#eviction
+            const order = EvictionOrder[policy]
+            const passes = []
+            if (maxEntries !== undefined) {
+                passes.push([util.format(EvictEntriesStatement, this.#name, this.#name, order), maxEntries])
+            }
+
+            if (maxBytes !== undefined) {
+                passes.push([util.format(EvictBytesStatement, this.#name, order, this.#name), maxBytes])
+            }
+
+            let pending = passes.length
+            let evicted = 0
+            let failure = null
+            this.db.serialize(() => {
+                this.#purgeExpired()
+                passes.forEach(([stmt, max]) => {
+                    this.db.run(stmt, {$max: max}, function (err) {
+                        failure = failure || err
+                        evicted += err ? 0 : this.changes
+                        if (--pending === 0) {
+                            cb(failure, failure ? undefined : evicted)
+                        }
+                    })
+                })
+            })
+        })
+    }
+
+    #increment(key, by, options, cb) {
+        const ts = now()
+        const {fresh, ttl} = this.#expiry(options, ts)
+        const binding = {$key: key, $by: by, $ts: ts, $expire: fresh, $ttl: ttl}
+        this.db.serialize(() => {
+            // Expired entry is dropped first so counter restarts, rather than continuing from expired value
+            this.db.run(util.format(DeleteExpiredEntryStatement, this.#name), {$key: key, $ts: ts}, () => {})
+            this.db.get(util.format(IncrementStatement, this.#name), binding, (err, row) => {
+                if (err) {
+                    return cb(err)
+                }
+
+                if (!row) {
+                    return cb(new Error(util.format('Value of key %s is not a counter', key)))
+                }
+
+                this.#written(key)
+                cb(null, row.val)
+            })
+        })
+    }
+
+    #expire(key, ttl, keep, cb) {
+        const binding = {
+            $key: key, $ttl: ttl, $keep: keep ? 1 : 0, $ts: now(), $default: this.#default_ttl * 1000, $never: NeverExpires
         }
+
+        this.db.serialize(() => {
+            const forget = () => this.#forget([key])
+            this.db.run(util.format(ExpireStatement, this.#name), binding, function (err) {
+                forget()
+                cb(err, err ? undefined : this.changes > 0)
+            })
+        })
     }
 
-    #purgeExpired() {
+    #insertIfMissing(key, value, options, cb) {
+        const ts = now()
+        let binding
+        try {
+            binding = this.#entryBinding(key, value, options, ts)
+        } catch (e) {
+            return cb(e)
+        }
+
+        if (!binding) {
+            return cb(new SerializationError(util.format('Unable to serialize value of key %s', key), key))
+        }
+
+        const written = this.#writtenIf(key, cb)
         this.db.serialize(() => {
-            const stmt = util.format(PurgeExpiredStatement, this.#name)
-            const ts = now()
-            this.db.run(stmt, {$ts: ts})
+            this.db.run(util.format(DeleteExpiredEntryStatement, this.#name), {$key: key, $ts: ts}, () => {})
+            this.db.run(util.format(InsertIfMissingStatement, this.#name), binding, function (err) {
+                written(err, this.changes > 0)
+            })
         })
     }
-}
 
-/**
- * @typedef {object} SqliteCacheAdapterArgs
- * @property {string} name of key-value space
- * @property {string} path of database
- * @property {SqliteOpenOptions} flags sqlite3 open flags for database file
- */
-module.exports = {
-    create: function (args) {
-        return new SqliteCacheAdapter(args.name || 'kv', args.path || ':memory:', args.options || {})
+    /**
+     * Wraps callback yielding whether single entry write of `key` won, to account for it when it did
+     */
+    #writtenIf(key, cb) {
+        return (err, won) => {
+            if (!err && won) {
+                this.#written(key)
+            }
+
+            return cb(err, err ? undefined : won)
+        }
     }
+
+    #written(key) {
+        this.#forget([key])
+        this.#counters.writes++
+        this.emit('set', key)
+        this.#scheduleEviction()
+    }
+
+    /**
+     * Returns soft (`fresh`) and hard (`expire`) expiry timestamps of entry written at `ts` with `options`,
+     * along with its TTL in milliseconds (0 for entries that never expire) and sliding flag
+     */
+    #expiry(options, ts) {
+        const ttl = (typeof options.ttl === 'number' ? options.ttl : this.#default_ttl) * 1000
+        const staleTtl = (typeof options.staleTtl === 'number' ? options.staleTtl : this.#default_stale_ttl) * 1000
+        const sliding = (typeof options.sliding === 'boolean' ? options.sliding : this.#sliding) ? 1 : 0
+        if (ttl === 0) {
+            return {fresh: NeverExpires, expire: NeverExpires, ttl, sliding}
+        }
+
+        return {fresh: ts + ttl, expire: ts + ttl + staleTtl, ttl, sliding}
+    }
+
+    /**
+     * Returns named binding of single entry write, or undefined when value can't be serialized
+     */
+    #entryBinding(key, value, options, ts) {
+        const serialized = this.#serialize(key, value)
+        if (serialized === undefined) {
+            return undefined
+        }
+
+        const [val, codec, keyId, serializer] = serialized
+        const {fresh, expire, ttl, sliding} = this.#expiry(options, ts)
+        return {
+            $key: key, $val: val, $ts: ts, $expire: expire, $fresh: fresh, $codec: codec, $keyId: keyId,
+            $ttl: ttl, $sliding: sliding, $serializer: serializer, $meta: entryMetadata(options)
+        }
+    }
+
+    /**
+     * Runs statements back to back in queue order, or in a transaction rolled back on first failure when `atomic`.
+     * Yields first error, or number of changed rows of each statement.
+     */
+    #runAll(statements, atomic, cb) {
+        const changes = statements.map(() => 0)
+        let pending = statements.length
+        let failure = null
+        if (pending === 0) {
+            return process.nextTick(() => cb(null, changes))
+        }
+
+        if (atomic) {
+            return transaction(this.db, statements, cb)
+        }
+
+        this.db.serialize(() => {
+            statements.forEach(([stmt, binding], i) => {
+                this.db.run(stmt, binding, function (err) {
+                    failure = failure || err
+                    changes[i] = err ? 0 : this.changes
+                    if (--pending === 0) {
+                        cb(failure, failure ? undefined : changes)
+                    }
+                })
+            })
+        })
+    }
+
+    /**
+     * Serializes values of `tuples` into `[key, value, serialized]` tuples, dropping those of values that
+     * can't be serialized and are skipped
+     */
+    #serializeAll(tuples) {
+        return tuples.map(([key, value]) => [key, value, this.#serialize(key, value)]).filter(t => t[2] !== undefined)
+    }
+
+    /**
+     * Returns statements writing serialized `tuples` (see `#serializeAll`) with `options`, along with their keys.
+     * Entries of skipped values are left alone, tags included.
+     */
+    #writeStatements(tuples, options, ts) {
+        const {fresh, expire, ttl, sliding} = this.#expiry(options, ts)
+        const meta = entryMetadata(options)
+        const rows = tuples.map(([key, , [val, codec, keyId, serializer]]) => [key, val, ts, expire, ts, fresh, codec, keyId, ttl, sliding, serializer, meta])
+        const keys = rows.map(r => r[0])
+        const tags = Array.isArray(options.tags) ? options.tags : []
+        const tagging = tags.flatMap(tag => keys.map(k => [tag, k]))
+        const values = (prefix, part, suffix = '') => [
+            util.format(prefix + part.map(r => generatePlaceHolders(r.length)).join(', ') + suffix, this.#name),
+            part.flat()
+        ]
+
+        // Old tags are dropped before upsert, replaced rows must not stay tied to previous tags
+        const statements = [
+            ...batches(keys, 1).map(part => [util.format(UntagStatementPrefix + generatePlaceHolders(part.length), this.#name), part]),
+            ...batches(tagging, 2).map(part => values(TagManyStatementPrefix, part)),
+            ...batches(rows, 12).map(part => values(UpsertManyStatementPrefix, part, UpsertManyStatementSuffix))
+        ]
+        return [statements, keys]
+    }
+
+    #deleteStatements(keys) {
+        return batches(keys, 1).map(part => [util.format(DeleteStatementPrefix + generatePlaceHolders(part.length), this.#name), part])
+    }
+
+    #deleteKeys(keys, cb) {
+        const statements = this.#deleteStatements(keys)
+        this.#runAll(statements, statements.length > 1, (err, changes) => {
+            this.#forget(keys)
+            if (!err) {
+                this.#counters.deletes += changes.reduce((a, b) => a + b, 0)
+                keys.forEach(k => this.emit('del', k))
+            }
+
+            cb(err)
+        })
+    }
+
+    /**
+     * Holds writes of serialized `tuples` (deletes of keys when `options` is null) until next flush, `cb` is called
+     * once flushed
+     */
+    #enqueue(tuples, options, cb) {
+        const expire = options && this.#expiry(options, now()).expire
+        tuples.forEach(([key, value, serialized]) => this.#pending.set(key, {value, serialized, options, expire}))
+        this.#waiting.push(cb)
+
+        if (this.#pending.size >= this.#writeBehind.maxBatch) {
+            return this.#flush(() => {})
+        }
+
+        if (!this.#flushTimer) {
+            this.#flushTimer = setTimeout(() => this.#flush(() => {}), this.#writeBehind.window)
+        }
+    }
+
+    /**
+     * Yields map of queued value (undefined for deletes and expired ones) for those `keys` having a pending write
+     */
+    #queued(keys) {
+        const ts = now()
+        const queued = new Map()
+        keys.filter(k => this.#pending.has(k)).forEach(k => {
+            const {value, options, expire} = this.#pending.get(k)
+            const live = options !== null && expire > ts
+            queued.set(k, live ? value : undefined)
+            this.#counters[live ? 'hits' : 'misses']++
+            this.emit(live ? 'hit' : 'miss', k)
+        })
+        return queued
+    }
+
+    /**
+     * Writes all pending writes in a single transaction, grouping sets sharing same options into batched upserts
+     */
+    #flush(cb) {
+        clearTimeout(this.#flushTimer)
+        this.#flushTimer = null
+        const pending = this.#pending
+        const waiting = this.#waiting
+        this.#pending = new Map()
+        this.#waiting = []
+        if (pending.size === 0) {
+            return this.#flushed.then(() => cb(null))
+        }
+
+        const groups = new Map()
+        const deleted = []
+        pending.forEach(({value, serialized, options}, key) => {
+            if (options === null) {
+                return deleted.push(key)
+            }
+
+            groups.set(options, [...(groups.get(options) || []), [key, value, serialized]])
+        })
+
+        const ts = now()
+        const writes = [...groups].flatMap(([options, tuples]) => this.#writeStatements(tuples, options, ts)[0])
+
+        const deletes = this.#deleteStatements(deleted)
+        const written = [...pending.keys()].filter(k => pending.get(k).options !== null)
+        this.#flushed = new Promise(ok => {
+            this.#runAll([...writes, ...deletes], true, (err, changes) => {
+                this.#forget([...pending.keys()])
+                if (!err) {
+                    this.#counters.writes += written.length
+                    this.#counters.deletes += changes.slice(writes.length).reduce((a, b) => a + b, 0)
+                    written.forEach(k => this.emit('set', k))
+                    deleted.forEach(k => this.emit('del', k))
+                }
+
+                this.#scheduleEviction()
+                waiting.forEach(w => w(err))
+                ok()
+                cb(err)
+            })
+        })
+    }
+
+    async #export(stream, options) {
+        const format = snapshotFormat(options.format)
+        let cursor = null
+        let count = 0
+        for (;;) {
+            const ts = now()
+            const binding = {$pattern: options.pattern || '*', $ts: ts, $cursor: cursor, $limit: ExportPageSize}
+            const rows = await this.#query(util.format(ExportPageStatement, this.#name), binding)
+            if (rows.length === 0) {
+                break
+            }
+
+            const keys = rows.map(r => r.key)
+            const tagged = await this.#query(util.format(SelectTagsStatementPrefix + generatePlaceHolders(keys.length), this.#name), keys)
+            const tags = new Map()
+            tagged.forEach(r => tags.set(r.key, [...(tags.get(r.key) || []), r.tag]))
+
+            for (const row of rows) {
+                await write(stream, format.encode(this.#snapshotRecord(row, tags.get(row.key), ts)))
+                count++
+            }
+
+            cursor = keys[keys.length - 1]
+        }
+
+        if (options.end !== false) {
+            await end(stream)
+        }
+
+        return count
+    }
+
+    #snapshotRecord(row, tags, ts) {
+        const fresh = freshUntil(row)
+        const record = {
+            key: row.key,
+            value: this.#deserialize(row),
+            ttl: fresh >= NeverExpires ? 0 : (fresh - ts) / 1000,
+            createdAt: row.created_at
+        }
+
+        if (fresh < NeverExpires && row.expire_at > fresh) {
+            record.staleTtl = (row.expire_at - fresh) / 1000
+        }
+
+        if (tags) {
+            record.tags = tags
+        }
+
+        if (row.sliding) {
+            record.sliding = true
+        }
+
+        if (row.codec === CounterCodec) {
+            record.counter = true
+        }
+
+        if (row.meta) {
+            record.metadata = JSON.parse(row.meta)
+        }
+
+        return record
+    }
+
+    async #import(stream, options) {
+        const format = snapshotFormat(options.format)
+        const policy = options.onConflict || 'overwrite'
+        if (!ImportConflicts[policy]) {
+            throw new Error(util.format('Unknown conflict policy %s, expected one of: %s', policy, Object.keys(ImportConflicts).join(', ')))
+        }
+
+        const batchSize = options.batchSize || DefaultImportBatch
+        const result = {imported: 0, skipped: 0}
+        let batch = []
+        for await (const record of format.decode(stream)) {
+            batch.push(record)
+            if (batch.length >= batchSize) {
+                await this.#importBatch(batch, policy, result)
+                batch = []
+            }
+        }
+
+        if (batch.length > 0) {
+            await this.#importBatch(batch, policy, result)
+        }
+
+        return result
+    }
+
+    /**
+     * Writes snapshot `records` in one transaction, adding up outcome to `result`
+     */
+    #importBatch(records, policy, result) {
+        const ts = now()
+        const condition = ImportConflicts[policy]
+        const statements = []
+        const writes = []
+        for (const record of records) {
+            if (!isObject(record) || typeof record.key !== 'string') {
+                throw new Error(util.format('Invalid snapshot record %j', isObject(record) ? Object.keys(record) : record))
+            }
+
+            const {key, value} = record
+            const serialized = record.counter ? [value, CounterCodec, null, null] : this.#serialize(key, value)
+            if (serialized === undefined) {
+                throw new SerializationError(util.format('Unable to serialize value of key %s', key), key)
+            }
+
+            const [val, codec, keyId, serializer] = serialized
+            const {fresh, expire, ttl, sliding} = this.#expiry({ttl: record.ttl, staleTtl: record.staleTtl || 0, sliding: !!record.sliding}, ts)
+            const created = typeof record.createdAt === 'number' ? record.createdAt : ts
+            const tags = Array.isArray(record.tags) ? record.tags : []
+
+            // Tags are replaced only when entry is, conflict condition is checked against entry before import
+            const untag = util.format(ImportUntagStatement, this.#name, this.#name, condition)
+            statements.push([untag, usedBinding(untag, {$key: key, $ts: ts, $created: created})])
+            if (tags.length > 0) {
+                const tag = util.format(ImportTagStatement, this.#name, this.#name, condition)
+                statements.push([tag, usedBinding(tag, {$key: key, $tags: JSON.stringify(tags), $ts: ts, $created: created})])
+            }
+
+            writes.push(statements.length)
+            const upsert = util.format(ImportStatement, this.#name, condition)
+            statements.push([upsert, {
+                $key: key, $val: val, $created: created, $expire: expire, $ts: ts, $fresh: fresh, $codec: codec, $keyId: keyId,
+                $ttl: ttl, $sliding: sliding, $serializer: serializer, $meta: entryMetadata(record)
+            }])
+        }
+
+        const keys = records.map(r => r.key)
+        return new Promise((ok, fail) => this.#runAll(statements, true, (err, changes) => {
+            this.#forget(keys)
+            if (err) {
+                return fail(err)
+            }
+
+            const imported = keys.filter((k, i) => changes[writes[i]] > 0)
+            result.imported += imported.length
+            result.skipped += keys.length - imported.length
+            this.#counters.writes += imported.length
+            imported.forEach(k => this.emit('set', k))
+            this.#scheduleEviction()
+            ok()
+        }))
+    }
+
+    /**
+     * Runs query `stmt` on database, resolving with its rows
+     */
+    #query(stmt, binding) {
+        return new Promise((ok, fail) => {
+            this.db.serialize(() => {
+                this.db.all(stmt, binding, (err, rows) => err ? fail(err) : ok(rows))
+            })
+        })
+    }
+
+    async #wrap(key, loader, options) {
+        const entry = await this.getWithMetadata(key)
+        if (entry && !entry.stale) {
+            return entry.value
+        }
+
+        if (entry && options.staleWhileRevalidate) {
+            this.#revalidate(key, loader, options)
+            return entry.value
+        }
+
+        try {
+            return await this.#loadOnce(key, loader, options)
+        } catch (e) {
+            if (entry && options.staleIfError) {
+                return entry.value
+            }
+
+            throw e
+        }
+    }
+
+    async #loadOnce(key, loader, options) {
+        const lockTimeout = options.lockTimeout || DefaultLockTimeout
+        const waitTimeout = typeof options.waitTimeout === 'number' ? options.waitTimeout : DefaultWaitTimeout
+        const pollInterval = options.pollInterval || DefaultPollInterval
+        const deadline = now() + waitTimeout
+
+        for (;;) {
+            const owner = await this.lock(key, {timeout: lockTimeout})
+            if (owner) {
+                try {
+                    // Value may have landed between the miss and taking the lock
+                    const value = await this.get(key)
+                    return value !== undefined ? value : await this.#load(key, loader, options)
+                } finally {
+                    await this.unlock(key, owner)
+                }
+            }
+
+            if (now() >= deadline) {
+                return this.#load(key, loader, options)
+            }
+
+            await sleep(pollInterval)
+            const value = await this.get(key)
+            if (value !== undefined) {
+                return value
+            }
+        }
+    }
+
+    /**
+     * Refreshes stale entry in background, skipped when another process already holds the lock
+     */
+    #revalidate(key, loader, options) {
+        this.lock(key, {timeout: options.lockTimeout || DefaultLockTimeout})
+            .then(owner => owner && this.#load(key, loader, options).finally(() => this.unlock(key, owner)))
+            .catch(() => {})
+    }
+
+    async #load(key, loader, options) {
+        const value = await loader()
+        if (value !== undefined) {
+            await this.set(key, value, options)
+        }
+
+        return value
+    }
+
+    /**
+     * Yields row for each key, undefined for missing or expired ones. Stale rows are only included with `allowStale`.
+     */
+    #fetchLive(keys, allowStale, cb) {
+        const ts = now()
+        this._fetch_all(keys, (err, rs) => {
+            if (err) {
+                return cb(err)
+            }
+
+            const rows = rs.filter(r => r.expire_at > ts)
+
+            // Schedule cleanup for expired rows
+            if (rows.length < rs.length) {
+                rs.filter(r => r.expire_at <= ts).forEach(r => {
+                    this.#counters.expired++
+                    this.emit('expire', r.key)
+                })
+                process.nextTick(() => this.#purgeExpired())
+            }
+
+            const served = rows.filter(r => allowStale || freshUntil(r) > ts)
+            if ((this.#eviction || this.#trackHits) && served.length > 0) {
+                this.#trackAccess(served.map(r => r.key), ts)
+            }
+
+            const sliding = served.filter(r => r.sliding && r.ttl > 0)
+            if (sliding.length > 0) {
+                this.#slide(sliding, ts)
+            }
+
+            const byKey = new Map(served.map(r => [r.key, r]))
+            keys.forEach(k => {
+                const hit = byKey.has(k)
+                this.#counters[hit ? 'hits' : 'misses']++
+                this.emit(hit ? 'hit' : 'miss', k)
+            })
+
+            cb(null, keys.map(k => byKey.get(k)), ts)
+        })
+    }
+
+    /**
+     * Same as `promisified` but fails right away once store is closed or its database failed to open, and waits
+     * for key-value space to be ready. Pending write-behind writes are flushed before `run`, unless operation
+     * is `queueAware` of them.
+     */
+    #promisified(callback, run, queueAware = false) {
+        return promisified(callback, cb => {
+            if (this.#closed) {
+                return cb(new StoreClosedError(util.format('Store %s is closed', this.#name)))
+            }
+
+            if (this.#openError) {
+                return cb(this.#openError)
+            }
+
+            const start = () => {
+                if (!queueAware && this.#pending.size > 0) {
+                    return this.#flush(() => run(cb))
+                }
+
+                return run(cb)
+            }
+
+            if (!this.#isReady) {
+                return this.#ready.then(start, cb)
+            }
+
+            return start()
+        })
+    }
+
+    /**
+     * Wraps callback of operation `op` to record its latency and report its failure as `error` event
+     */
+    #instrument(op, cb) {
+        const start = process.hrtime.bigint()
+        return (err, ...results) => {
+            const histogram = this.#latency[op] || (this.#latency[op] = new Histogram())
+            histogram.observe(Number(process.hrtime.bigint() - start) / 1e6)
+            if (err) {
+                this.#emitError(err)
+            }
+
+            return cb(err, ...results)
+        }
+    }
+
+    /**
+     * Wraps callback yielding number of affected entries to add it to `counter`
+     */
+    #counting(counter, cb) {
+        return (err, count) => {
+            if (!err) {
+                this.#counters[counter] += count
+            }
+
+            return cb(err, count)
+        }
+    }
+
+    /**
+     * Wraps callback of operation deleting arbitrary entries to drop all of L1 once it is done
+     */
+    #clearingMemory(cb) {
+        return (...args) => {
+            if (this.#memory) {
+                this.#memory.clear()
+            }
+
+            return cb(...args)
+        }
+    }
+
+    /**
+     * Drops `keys` from L1, called once writes land so reads queued before them can't repopulate old rows
+     */
+    #forget(keys) {
+        if (this.#memory) {
+            keys.forEach(k => this.#memory.delete(k))
+        }
+    }
+
+    /**
+     * Yields L1 rows of `keys` as map, empty when L1 is off or has not been synced within staleness bound
+     */
+    #memoryRows(keys) {
+        const rows = new Map()
+        const ts = now()
+        if (!this.#memory || ts - this.#syncedAt > this.#memoryOptions.staleness) {
+            return rows
+        }
+
+        keys.forEach(k => {
+            const row = this.#memory.get(k, ts)
+            if (row) {
+                rows.set(k, row)
+            }
+        })
+        this.#counters.memoryHits += rows.size
+        return rows
+    }
+
+    /**
+     * Drops L1 entries changed by any process since last sync, or all of L1 when change log was trimmed past
+     * last seen change. L1 is bypassed until first sync completes.
+     */
+    #syncMemory() {
+        if (this.#syncing || this.#closed || this.#openError) {
+            return
+        }
+
+        this.#syncing = true
+        const started = now()
+        const synced = err => {
+            this.#syncing = false
+            if (err) {
+                return this.#emitError(err)
+            }
+
+            this.#syncedAt = started
+        }
+
+        this.db.serialize(() => {
+            if (this.#changeSeq === null) {
+                this.db.get(util.format(LastChangeStatement, this.#name), (err, row) => {
+                    if (!err) {
+                        this.#memory.clear()
+                        this.#changeSeq = row.seq
+                    }
+
+                    synced(err)
+                })
+                return
+            }
+
+            const stmt = util.format(SelectChangesStatement, this.#name, this.#name)
+            this.db.all(stmt, {$seq: this.#changeSeq}, (err, rows) => {
+                if (!err && rows.length > 0) {
+                    if (rows[0].first > this.#changeSeq + 1) {
+                        this.#memory.clear()
+                    } else {
+                        rows.forEach(r => this.#memory.delete(r.key))
+                    }
+
+                    this.#changeSeq = rows[rows.length - 1].seq
+                }
+
+                synced(err)
+            })
+        })
+    }
+
+    #startMemorySync() {
+        if (this.#closed) {
+            return
+        }
+
+        this.#every(this.#memoryOptions.staleness / 2, () => this.#syncMemory())
+        this.#syncMemory()
+    }
+
+    /**
+     * Starts polling change log for watchers, reading where it stands first so only later changes are delivered.
+     * Reading is queued right away, ahead of writes issued after `watch`.
+     */
+    #startWatching() {
+        const start = () => {
+            if (this.#closed || this.#watchers.size === 0 || this.#watchTimer) {
+                return
+            }
+
+            this.#watchTimer = setInterval(() => this.#pollChanges(), this.#watchInterval)
+            this.#watchTimer.unref()
+            this.#pollChanges()
+        }
+
+        if (this.#isReady) {
+            return start()
+        }
+
+        this.#ready.then(start, () => {})
+    }
+
+    #stopWatching() {
+        clearInterval(this.#watchTimer)
+        this.#watchTimer = null
+        this.#watchSeq = null
+        this.#watchMark = null
+    }
+
+    #pollChanges() {
+        if (this.#polling || this.#closed || this.#openError) {
+            return
+        }
+
+        this.#polling = true
+        const polled = err => {
+            this.#polling = false
+            if (err) {
+                this.#emitError(err)
+            }
+        }
+
+        this.db.serialize(() => {
+            if (this.#watchSeq === null) {
+                return this.db.get(util.format(WatchStartStatement, this.#name), (err, row) => {
+                    if (!err && this.#watchTimer) {
+                        this.#watchSeq = row.seq
+                        this.#watchMark = row.version + ':' + row.changes
+                    }
+
+                    polled(err)
+                })
+            }
+
+            this.db.get(DataVersionStatement, (err, row) => {
+                if (err) {
+                    return polled(err)
+                }
+
+                const mark = row.version + ':' + row.changes
+                if (mark === this.#watchMark || !this.#watchTimer) {
+                    return polled(null)
+                }
+
+                this.#watchMark = mark
+                const stmt = util.format(SelectChangesStatement, this.#name, this.#name)
+                this.db.all(stmt, {$seq: this.#watchSeq}, (err, rows) => {
+                    polled(err)
+                    if (!err && this.#watchTimer) {
+                        this.#deliverChanges(rows)
+                    }
+                })
+            })
+        })
+    }
+
+    /**
+     * Hands `rows` of change log to matching watchers, touches (expiry changes) are not delivered
+     */
+    #deliverChanges(rows) {
+        if (rows.length === 0) {
+            return
+        }
+
+        const missed = rows[0].first > this.#watchSeq + 1
+        this.#watchSeq = rows[rows.length - 1].seq
+        const notify = (watcher, change) => {
+            try {
+                watcher.listener(change)
+            } catch (e) {
+                this.#emitError(e)
+            }
+        }
+
+        const watchers = [...this.#watchers]
+        if (missed) {
+            return watchers.forEach(w => notify(w, {key: null, op: 'reset', seq: this.#watchSeq}))
+        }
+
+        // Changes logged before kinds were recorded are sets as far as watchers can tell
+        rows.filter(r => r.op !== 'touch').forEach(r => {
+            const change = {key: r.key, op: r.op || 'set', seq: r.seq}
+            watchers.filter(w => w.matches(r.key)).forEach(w => notify(w, change))
+        })
+    }
+
+    /**
+     * Runs `task` every `ms` milliseconds until store closes, without keeping process alive
+     */
+    #every(ms, task) {
+        const timer = setInterval(task, ms)
+        timer.unref()
+        this.#timers.push(timer)
+    }
+
+    #emitError(err) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err)
+        }
+    }
+
+    #startSweeper() {
+        const {interval, vacuumInterval, vacuumPages, checkpointInterval} = this.#sweeper
+        this.#every(interval, () => {
+            if (this.#sweeping) {
+                return
+            }
+
+            this.#sweeping = true
+            this.sweep(() => this.#sweeping = false)
+        })
+        this.#every(vacuumInterval, () => this.db.run(util.format(IncrementalVacuumStatement, vacuumPages), () => {}))
+        this.#every(checkpointInterval, () => this.db.run(CheckpointStatement, () => {}))
+    }
+
+    #scheduleEviction() {
+        if (!this.#eviction || this.#evictionScheduled) {
+            return
+        }
+
+        // Coalesce bursts of writes into a single pass, and keep it off the write path
+        this.#evictionScheduled = true
+        setImmediate(() => {
+            this.#evictionScheduled = false
+            this.evict(() => {})
+        })
+    }
+
+    /**
+     * Pushes expiry of sliding `rows` read at `ts` forward, updating rows in place as they are handed out
+     * (and may sit in L1)
+     */
+    #slide(rows, ts) {
+        rows.forEach(r => {
+            r.expire_at = ts + r.ttl + r.expire_at - freshUntil(r)
+            r.fresh_until = ts + r.ttl
+        })
+
+        const statements = batches(rows.map(r => r.key), 1, 2).map(part => [
+            util.format(SlideStatementPrefix + generatePlaceHolders(part.length), this.#name), [ts, ts, ...part]
+        ])
+        this.#runAll(statements, false, err => err && this.#emitError(err))
+    }
+
+    #trackAccess(keys, ts) {
+        const statements = batches(keys, 1, 1).map(part => [
+            util.format(TouchStatementPrefix + generatePlaceHolders(part.length), this.#name), [ts, ...part]
+        ])
+        this.#runAll(statements, false, () => {})
+    }
+
+    /**
+     * Returns [payload, codec, keyId, serializerId] tuple for value of `key`. Values that can't be serialized
+     * throw SerializationError or are reported with `serializationError` event, then skipped (undefined is
+     * returned) or replaced by null as `onSerializationError` says.
+     */
+    #serialize(key, obj) {
+        try {
+            return this.#encode(key, obj)
+        } catch (e) {
+            const err = new SerializationError(util.format('Unable to serialize value of key %s: %s', key, e.message), key, e)
+            if (this.#onSerializationError === 'throw') {
+                throw err
+            }
+
+            this.emit('serializationError', err)
+            return this.#onSerializationError === 'null' ? this.#encode(key, null) : undefined
+        }
+    }
+
+    #encode(key, obj) {
+        const payload = this.#serializer.serialize(obj)
+        if (payload === undefined) {
+            throw new Error('Serializer yielded no payload')
+        }
+
+        const [val, codec] = this.#compress(payload)
+        if (!this.#encryption) {
+            return [val, codec, null, this.#serializerId]
+        }
+
+        return [this.#encryption.encrypt(val, key), codec, this.#encryption.keyId, this.#serializerId]
+    }
+
+    /**
+     * Throws DecryptionError for entries that can't be decrypted. Entries that fail to decode throw
+     * SerializationError with `throw` policy, otherwise they are reported as corrupted and read as missing.
+     */
+    #deserialize(row) {
+        try {
+            return decodeRow(row, this.#serializer, this.#encryption, this.#serializerId)
+        } catch(e) {
+            if (e instanceof DecryptionError) {
+                throw e
+            }
+
+            const err = new SerializationError(util.format('Unable to deserialize value of key %s: %s', row.key, e.message), row.key, e)
+            if (this.#onSerializationError === 'throw') {
+                throw err
+            }
+
+            this.#reportCorrupted(row, err)
+            return undefined
+        }
+    }
+
+    /**
+     * Emits `corrupt` event for entry that can't be read back, deleting it when `deleteCorrupted` is set
+     */
+    #reportCorrupted(row, err) {
+        this.emit('corrupt', err)
+        if (!this.#deleteCorrupted) {
+            return
+        }
+
+        this.#forget([row.key])
+        this.db.run(util.format(DeleteCorruptedStatement, this.#name), {$key: row.key, $version: row.version}, err => {
+            if (err) {
+                this.#emitError(err)
+            }
+        })
+    }
+
+    /**
+     * Returns [payload, codec] tuple, codec is null for uncompressed payloads and suffixed with `:utf8`
+     * when serializer produced a string, so it can be handed back as string after decompression.
+     */
+    #compress(payload) {
+        if (!this.#compression) {
+            return [payload, null]
+        }
+
+        const {codec, threshold} = this.#compression
+        const text = typeof payload === 'string'
+        const size = text ? Buffer.byteLength(payload) : payload.length
+        if (size < threshold) {
+            return [payload, null]
+        }
+
+        const compressed = codecs[codec].compress(payload)
+        return compressed.length < size ? [compressed, text ? codec + ':utf8' : codec] : [payload, null]
+    }
+
+    #purgeExpired() {
+        if (this.#closed) {
+            return
+        }
+
+        this.db.serialize(() => {
+            const stmt = util.format(PurgeExpiredStatement, this.#name)
+            const ts = now()
+            const purged = this.#counting('purged', err => err && this.#emitError(err))
+            this.db.run(stmt, {$ts: ts}, function (err) {
+                purged(err, this.changes)
+            })
+        })
+    }
+}
+
+/**
+ * Database of many key-value spaces, opens file once and hands out stores of namespaces sharing its handle
+ */
+class SqliteDatabase {
+    /**
+     * @property {object} db database handle of driver, shared with stores of namespaces
+     */
+    db = null
+
+    #file = null
+
+    #driver = null
+
+    // Options of every namespace, and of each namespace by name
+    #defaults = null
+    #namespaceDefaults = null
+
+    // Stores handed out by name
+    #stores = new Map()
+
+    // Settles once database is open, rejects with open failure
+    #opened = null
+
+    #closed = false
+
+    /**
+     * @param {string} file path of database
+     * @param {SqliteOpenOptions} options defaults of every namespace
+     * @param {object} namespaces defaults of each namespace by name, taking precedence over `options`
+     */
+    constructor(file, options, namespaces) {
+        if (file === '' || file === ':memory:') {
+            throw new Error('Namespaces need a database file, in memory databases are private to each store')
+        }
+
+        this.#file = path.resolve(file)
+        this.#driver = options.driver || 'sqlite3'
+        this.#defaults = options
+        this.#namespaceDefaults = namespaces
+        this.#opened = new Promise((ok, fail) => {
+            this.db = openDatabase(this.#driver, this.#file, options.flags || (OPEN_CREATE | OPEN_READWRITE),
+                err => err ? fail(err) : ok())
+        })
+        this.#opened.catch(() => {})
+    }
+
+    /**
+     * Returns store of namespace `name`, opened with defaults of database and namespace overridden by `options`.
+     * Same store is returned for a name until it is dropped or database is closed. Throws when name is not a
+     * plain identifier, or when `options` are passed for a namespace already open.
+     *
+     * @param {string} name of key-value space
+     * @param {SqliteOpenOptions} options for this namespace
+     * @returns {SqliteCacheAdapter}
+     */
+    namespace(name, options) {
+        if (this.#closed) {
+            throw new StoreClosedError('Database is closed')
+        }
+
+        const invalid = invalidName(name)
+        if (invalid) {
+            throw new Error(invalid)
+        }
+
+        const open = this.#stores.get(name)
+        if (open && options) {
+            throw new Error(util.format('Namespace %s is already open, options apply only when it is opened', name))
+        }
+
+        if (open) {
+            return open
+        }
+
+        const store = new SqliteCacheAdapter(name, this.#file, {
+            ...this.#defaults, ...this.#namespaceDefaults[name], ...options, driver: this.#driver
+        })
+        this.#stores.set(name, store)
+        return store
+    }
+
+    /**
+     * Lists names of key-value spaces in database, including those created by other processes
+     */
+    namespaces(callback) {
+        return promisified(callback, cb => this.#run(cb, () => this.db.all(SelectSpacesStatement, {}, (err, rows) => {
+            cb(err, err ? undefined : rows.map(r => r.name))
+        })))
+    }
+
+    /**
+     * Closes store of namespace `name` and drops its tables, yields whether namespace existed
+     */
+    drop(name, callback) {
+        return promisified(callback, cb => this.#run(cb, () => {
+            const invalid = invalidName(name)
+            if (invalid) {
+                return cb(new Error(invalid))
+            }
+
+            const store = this.#stores.get(name)
+            this.#stores.delete(name)
+            const closed = store ? store.close() : Promise.resolve()
+            closed.then(() => this.#drop(name, cb), cb)
+        }))
+    }
+
+    #drop(name, cb) {
+        const tables = [name, ...CompanionSuffixes.map(s => name + '_' + s)]
+        const statements = [
+            ...tables.map(t => [util.format(DropTableStatement, t), {}]),
+            [DropSchemaVersionStatement, {$name: name}]
+        ]
+
+        this.db.all(SelectSpacesStatement, {}, (err, rows) => {
+            if (err) {
+                return cb(err)
+            }
+
+            if (!rows.some(r => r.name === name)) {
+                return cb(null, false)
+            }
+
+            transaction(this.db, statements, err => cb(err, err ? undefined : true))
+        })
+    }
+
+    /**
+     * Resolves once database is open, rejects when it could not be opened
+     */
+    ready(callback) {
+        return promisified(callback, cb => {
+            this.#opened.then(() => cb(null), cb)
+        })
+    }
+
+    /**
+     * Closes stores of every namespace handed out, then releases database handle
+     */
+    close(callback) {
+        return promisified(callback, cb => {
+            if (this.#closed) {
+                return cb(null)
+            }
+
+            this.#closed = true
+            const stores = [...this.#stores.values()]
+            this.#stores.clear()
+            // Handle that failed to open never calls back on close
+            const release = () => releaseDatabase(this.#file, this.db, cb)
+            Promise.all(stores.map(s => s.close())).then(() => this.#opened.then(release, () => cb(null)), cb)
+        })
+    }
+
+    /**
+     * Calls `run` once database is open, failing `cb` when it is closed or could not be opened
+     */
+    #run(cb, run) {
+        if (this.#closed) {
+            return process.nextTick(() => cb(new StoreClosedError('Database is closed')))
+        }
+
+        this.#opened.then(run, cb)
+    }
+}
+
+/**
+ * @typedef {object} SqliteCacheAdapterArgs
+ * @property {string} name of key-value space
+ * @property {string} path of database
+ * @property {SqliteOpenOptions} flags sqlite3 open flags for database file
+ */
+
+/**
+ * @typedef {object} SqliteDatabaseArgs
+ * @property {string} path of database file
+ * @property {SqliteOpenOptions} options defaults of every namespace, `driver` and `flags` apply to database
+ * @property {object} namespaces defaults of each namespace by name, e.g. `{users: {ttl: 600}}`
+ */
+module.exports = {
+    create: function (args) {
+        return new SqliteCacheAdapter(args.name || 'kv', args.path || ':memory:', args.options || {})
+    },
+
+    /**
+     * @param {SqliteDatabaseArgs} args
+     * @returns {SqliteDatabase}
+     */
+    open: function (args) {
+        return new SqliteDatabase(args.path || '', args.options || {}, args.namespaces || {})
+    },
+
+    registerSerializer,
+    registerType,
+
+    DecryptionError,
+    SerializationError,
+    StoreClosedError,
+    SchemaVersion,
+    OPEN_READONLY,
+    OPEN_READWRITE,
+    OPEN_CREATE,
+
+    // Shared with the command-line inspector, which reads files the way stores do
+    CounterCodec,
+    NeverExpires,
+    PurgeExpiredStatement,
+    decodeRow
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * Bounded in-process LRU of raw rows, used as L1 in front of SQLite. Rows are kept as read from database
+ * and decoded on every hit, so callers never share (and mutate) cached objects.
+ */
+class MemoryLayer {
+    #max = 0
+    #rows = new Map()
+
+    /**
+     * @param {number} max number of rows kept
+     */
+    constructor(max) {
+        this.#max = max
+    }
+
+    get size() {
+        return this.#rows.size
+    }
+
+    /**
+     * Returns row of `key` unless missing or expired at `ts`
+     */
+    get(key, ts) {
+        const row = this.#rows.get(key)
+        if (!row) {
+            return undefined
+        }
+
+        if (row.expire_at <= ts) {
+            this.#rows.delete(key)
+            return undefined
+        }
+
+        // Map iteration order doubles as recency order
+        this.#rows.delete(key)
+        this.#rows.set(key, row)
+        return row
+    }
+
+    set(key, row) {
+        this.#rows.delete(key)
+        this.#rows.set(key, row)
+        if (this.#rows.size > this.#max) {
+            this.#rows.delete(this.#rows.keys().next().value)
+        }
+    }
+
+    delete(key) {
+        this.#rows.delete(key)
+    }
+
+    clear() {
+        this.#rows.clear()
+    }
+}
+
+module.exports = {
+    MemoryLayer
+}
@@ -0,0 +1,44 @@
+// Upper bounds of latency buckets in milliseconds
+const LatencyBuckets = [0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000]
+
+/**
+ * Cumulative histogram, same shape as Prometheus histograms so it can be exported as is
+ */
+class Histogram {
+    #bounds = null
+    #counts = null
+    #count = 0
+    #sum = 0
+
+    constructor(bounds = LatencyBuckets) {
+        this.#bounds = bounds
+        this.#counts = bounds.map(() => 0)
+    }
+
+    observe(value) {
+        this.#count++
+        this.#sum += value
+        this.#bounds.forEach((le, i) => {
+            if (value <= le) {
+                this.#counts[i]++
+            }
+        })
+    }
+
+    /**
+     * @returns {{count: number, sum: number, buckets: {le: number, count: number}[]}} buckets exclude `+Inf`,
+     * which equals `count`
+     */
+    toJSON() {
+        return {
+            count: this.#count,
+            sum: this.#sum,
+            buckets: this.#bounds.map((le, i) => ({le, count: this.#counts[i]}))
+        }
+    }
+}
+
+module.exports = {
+    Histogram,
+    LatencyBuckets
+}
@@ -0,0 +1,285 @@
+const util = require('util')
+
+// Number of most recent changes kept in change log, older ones are trimmed by the logging triggers
+const ChangeLogSize = 10000
+
+// Current time in milliseconds since epoch, as SQL expression
+const CurrentTimeMs = "CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER)"
+
+// Schema version of every key-value space in database, one row per space since spaces share the file
+const CreateSchemaStatement = `
+CREATE TABLE IF NOT EXISTS cache_schema (
+    name TEXT PRIMARY KEY,
+    version INTEGER NOT NULL
+) WITHOUT ROWID;
+`
+const SelectVersionStatement = "SELECT version FROM cache_schema WHERE name = $name"
+const UpdateVersionStatement = `
+INSERT INTO cache_schema(name, version) VALUES ($name, $version)
+ON CONFLICT(name) DO UPDATE SET version = excluded.version
+`
+const SelectColumnsStatement = "SELECT name FROM pragma_table_info($table)"
+
+/**
+ * Step adding `column` to key-value table (or its companion `table`, `%s_changes` say), skipped when table
+ * already has it
+ */
+function addColumn(column, type, table = '%s') {
+    return {table, column, sql: util.format('ALTER TABLE %s ADD COLUMN %s %s', table, column, type)}
+}
+
+/**
+ * Schema of key-value space `%s`, in order. Migration at index `i` brings space from version `i` to `i + 1`,
+ * so migrations are only ever appended. Every step must be safe to run against spaces created before versions
+ * were tracked, which start at version 0 whatever their shape.
+ */
+const Migrations = [
+    // 1: key-value table
+    [`
+    CREATE TABLE IF NOT EXISTS %s (
+        key TEXT PRIMARY KEY,
+        val BLOB,
+        created_at INTEGER,
+        expire_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS index_expire_%s ON %s(expire_at);
+    `],
+
+    // 2: access tracking for eviction
+    [
+        addColumn('accessed_at', 'INTEGER'),
+        addColumn('hits', 'INTEGER DEFAULT 0'),
+        "CREATE INDEX IF NOT EXISTS index_access_%s ON %s(accessed_at);"
+    ],
+
+    // 3: companion tag table, trigger keeps it in sync with every delete on key-value table
+    [`
+    CREATE TABLE IF NOT EXISTS %s_tags (
+        tag TEXT,
+        key TEXT,
+        PRIMARY KEY (tag, key)
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS index_tags_key_%s ON %s_tags(key);
+    CREATE TRIGGER IF NOT EXISTS trigger_untag_%s AFTER DELETE ON %s BEGIN
+        DELETE FROM %s_tags WHERE key = old.key;
+    END;
+    `],
+
+    // 4: stale-while-revalidate
+    [addColumn('fresh_until', 'INTEGER')],
+
+    // 5: compression and encryption
+    [addColumn('codec', 'TEXT'), addColumn('key_id', 'TEXT')],
+
+    // 6: locks of `wrap`
+    [`
+    CREATE TABLE IF NOT EXISTS %s_locks (
+        key TEXT PRIMARY KEY,
+        owner TEXT,
+        expire_at INTEGER
+    ) WITHOUT ROWID;
+    `],
+
+    // 7: change log, filled by triggers so writes of every process (and purges, evictions) land in it. Updates
+    // touching only access tracking columns are not changes.
+    [`
+    CREATE TABLE IF NOT EXISTS %s_changes (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT
+    );
+    CREATE TRIGGER IF NOT EXISTS trigger_log_insert_%s AFTER INSERT ON %s BEGIN
+        INSERT INTO %s_changes(key) VALUES (new.key);
+        DELETE FROM %s_changes WHERE seq <= (SELECT MAX(seq) FROM %s_changes) - ${ChangeLogSize};
+    END;
+    CREATE TRIGGER IF NOT EXISTS trigger_log_update_%s AFTER UPDATE OF key, val, expire_at, fresh_until ON %s BEGIN
+        INSERT INTO %s_changes(key) VALUES (new.key);
+        DELETE FROM %s_changes WHERE seq <= (SELECT MAX(seq) FROM %s_changes) - ${ChangeLogSize};
+    END;
+    CREATE TRIGGER IF NOT EXISTS trigger_log_delete_%s AFTER DELETE ON %s BEGIN
+        INSERT INTO %s_changes(key) VALUES (old.key);
+        DELETE FROM %s_changes WHERE seq <= (SELECT MAX(seq) FROM %s_changes) - ${ChangeLogSize};
+    END;
+    `],
+
+    // 8: entry versions of `compareAndSet`
+    [addColumn('version', 'INTEGER DEFAULT 0')],
+
+    // 9: per entry TTL and sliding expiration
+    [addColumn('ttl', 'INTEGER'), addColumn('sliding', 'INTEGER DEFAULT 0')],
+
+    // 10: id of serializer that wrote entry
+    [addColumn('serializer', 'TEXT')],
+
+    // 11: kind of change for `watch`. Updates leaving value alone (sliding expiry, `expire`) are `touch`, deletes of
+    // entries past their expiry are `expire`.
+    [addColumn('op', 'TEXT', '%s_changes'), `
+    DROP TRIGGER IF EXISTS trigger_log_insert_%s;
+    DROP TRIGGER IF EXISTS trigger_log_update_%s;
+    DROP TRIGGER IF EXISTS trigger_log_delete_%s;
+    CREATE TRIGGER trigger_log_insert_%s AFTER INSERT ON %s BEGIN
+        INSERT INTO %s_changes(key, op) VALUES (new.key, 'set');
+        DELETE FROM %s_changes WHERE seq <= (SELECT MAX(seq) FROM %s_changes) - ${ChangeLogSize};
+    END;
+    CREATE TRIGGER trigger_log_update_%s AFTER UPDATE OF key, val, expire_at, fresh_until ON %s BEGIN
+        INSERT INTO %s_changes(key, op) VALUES (new.key, CASE WHEN new.version IS old.version THEN 'touch' ELSE 'set' END);
+        DELETE FROM %s_changes WHERE seq <= (SELECT MAX(seq) FROM %s_changes) - ${ChangeLogSize};
+    END;
+    CREATE TRIGGER trigger_log_delete_%s AFTER DELETE ON %s BEGIN
+        INSERT INTO %s_changes(key, op) VALUES (old.key, CASE WHEN old.expire_at <= ${CurrentTimeMs} THEN 'expire' ELSE 'del' END);
+        DELETE FROM %s_changes WHERE seq <= (SELECT MAX(seq) FROM %s_changes) - ${ChangeLogSize};
+    END;
+    `],
+
+    // 12: user metadata of entry, JSON
+    [addColumn('meta', 'TEXT')],
+]
+
+// Schema version this release brings key-value spaces to
+const SchemaVersion = Migrations.length
+
+// Companion tables of key-value space `x` are named `x_<suffix>`
+const CompanionSuffixes = ['tags', 'locks', 'changes']
+
+// Key-value spaces are the tables carrying every one of these columns
+const SelectSpacesStatement = `
+SELECT m.name AS name FROM sqlite_master m
+WHERE m.type = 'table' AND (SELECT COUNT(*) FROM pragma_table_info(m.name) WHERE name IN ('key', 'val', 'expire_at')) = 3
+ORDER BY m.name
+`
+
+/**
+ * Returns why `name` can't name a key-value space, or null when it can. Names are plain identifiers (letters,
+ * digits and underscores, up to 64 characters) that don't clash with tables of SQLite, schema versions or
+ * companion tables of another space.
+ */
+function invalidName(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]{0,63}$/.test(name)) {
+        return util.format('Invalid namespace %j, expected letters, digits and underscores (up to 64, not starting with a digit)', name)
+    }
+
+    const lower = name.toLowerCase()
+    if (lower.startsWith('sqlite_') || lower === 'cache_schema' || CompanionSuffixes.some(s => lower.endsWith('_' + s))) {
+        return util.format('Namespace %s is reserved', name)
+    }
+
+    return null
+}
+
+/**
+ * Quotes SQL identifier `id`
+ */
+function quoteIdentifier(id) {
+    return '"' + id.replace(/"/g, '""') + '"'
+}
+
+/**
+ * Formats schema statement of key-value space `name`, every identifier with `%s` in it (`%s`, `%s_tags`,
+ * `index_expire_%s` and the like) is completed with `name` and quoted
+ */
+function schemaStatement(stmt, name) {
+    return stmt.replace(/\w*%s\w*/g, id => quoteIdentifier(id.split('%s').join(name)))
+}
+
+/**
+ * Runs `tasks` (each taking a callback) one after another, stopping at first failure
+ */
+function series(tasks, cb) {
+    const next = i => {
+        if (i === tasks.length) {
+            return cb(null)
+        }
+
+        tasks[i](err => err ? cb(err) : next(i + 1))
+    }
+
+    next(0)
+}
+
+function schemaVersion(db, name, cb) {
+    db.get(SelectVersionStatement, {$name: name}, (err, row) => cb(err, row ? row.version : 0))
+}
+
+/**
+ * Applies migrations past `from` to key-value space `name`. Caller holds write transaction.
+ */
+function applyMigrations(db, name, from, cb) {
+    const steps = Migrations.slice(from).flat().map(step => done => {
+        if (typeof step === 'string') {
+            return db.exec(schemaStatement(step, name), done)
+        }
+
+        // Columns are looked up when step runs, table may have been created by earlier step
+        db.all(SelectColumnsStatement, {$table: step.table.split('%s').join(name)}, (err, rows) => {
+            if (err || rows.some(r => r.name === step.column)) {
+                return done(err)
+            }
+
+            db.exec(schemaStatement(step.sql, name), done)
+        })
+    })
+
+    series(steps, err => {
+        if (err) {
+            return cb(err)
+        }
+
+        db.run(UpdateVersionStatement, {$name: name, $version: SchemaVersion}, cb)
+    })
+}
+
+/**
+ * Brings key-value space `name` to SchemaVersion. Migrations run in one immediate transaction, so a process
+ * opening the same file meanwhile waits for them (up to busy timeout) and then finds space up to date. Spaces
+ * at a newer version, upgraded by a later release, are left alone since migrations only ever add to schema.
+ *
+ * `db` must not be used by anything else while migrating, statements of others would land in the transaction.
+ *
+ * @param {object} db callback style database
+ * @param {string} name of key-value space
+ * @param {function} cb called with error, or null once space is up to date
+ */
+function migrate(db, name, cb) {
+    db.exec(CreateSchemaStatement, err => {
+        if (err) {
+            return cb(err)
+        }
+
+        schemaVersion(db, name, (err, version) => {
+            if (err || version >= SchemaVersion) {
+                return cb(err)
+            }
+
+            db.run('BEGIN IMMEDIATE', err => {
+                if (err) {
+                    return cb(err)
+                }
+
+                const rollback = err => db.run('ROLLBACK', () => cb(err))
+
+                // Another process may have upgraded space before write lock was granted
+                schemaVersion(db, name, (err, version) => {
+                    if (err) {
+                        return rollback(err)
+                    }
+
+                    if (version >= SchemaVersion) {
+                        return db.run('COMMIT', cb)
+                    }
+
+                    applyMigrations(db, name, version, err => err ? rollback(err) : db.run('COMMIT', cb))
+                })
+            })
+        })
+    })
+}
+
+module.exports = {
+    CompanionSuffixes,
+    Migrations,
+    SchemaVersion,
+    SelectSpacesStatement,
+    invalidName,
+    migrate,
+    quoteIdentifier,
+    schemaStatement
+}
@@ -1,13 +1,184 @@
 const cbor = require('cbor-x')
+const util = require('util')
 
-module.exports = {
-    json: {
+// Key marking typed values in `typed-json` payloads, plain objects having it are wrapped so they read back as is
+const TypeKey = '$type'
+
+// Class revivers of `typed-json` by type name, each `{type, serialize, deserialize}`
+const types = new Map()
+
+/**
+ * Values JSON can't represent, each `[name, matches, serialize, deserialize]` where `serialize` yields a JSON
+ * encodable value (encoded recursively) and `deserialize` turns it back
+ */
+const builtinTypes = [
+    ['undefined', v => v === undefined, () => null, () => undefined],
+    ['BigInt', v => typeof v === 'bigint', v => v.toString(), v => BigInt(v)],
+    ['Number', v => typeof v === 'number' && (!Number.isFinite(v) || Object.is(v, -0)), v => Object.is(v, -0) ? '-0' : String(v), v => Number(v)],
+    ['Date', v => v instanceof Date, v => v.getTime(), v => new Date(v)],
+    ['Buffer', v => Buffer.isBuffer(v), v => v.toString('base64'), v => Buffer.from(v, 'base64')],
+    ['Map', v => v instanceof Map, v => [...v.entries()], v => new Map(v)],
+    ['Set', v => v instanceof Set, v => [...v.values()], v => new Set(v)]
+]
+
+function typed(name, value) {
+    return {[TypeKey]: name, value}
+}
+
+/**
+ * Turns `value` into JSON encodable tree, marking values JSON would lose with their type
+ */
+function encode(value) {
+    for (const [name, {type, serialize}] of types) {
+        if (value instanceof type) {
+            return typed(name, encode(serialize(value)))
+        }
+    }
+
+    for (const [name, matches, serialize] of builtinTypes) {
+        if (matches(value)) {
+            return typed(name, encode(serialize(value)))
+        }
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(encode)
+    }
+
+    if (value === null || typeof value !== 'object') {
+        return value
+    }
+
+    if (typeof value.toJSON === 'function') {
+        return encode(value.toJSON())
+    }
+
+    const encoded = {}
+    for (const key of Object.keys(value)) {
+        encoded[key] = encode(value[key])
+    }
+
+    return Object.prototype.hasOwnProperty.call(value, TypeKey) ? typed('Object', encoded) : encoded
+}
+
+function decodeProperties(value) {
+    const decoded = {}
+    for (const key of Object.keys(value)) {
+        decoded[key] = decode(value[key])
+    }
+
+    return decoded
+}
+
+/**
+ * Reverses `encode`, throws on types that are not registered
+ */
+function decode(value) {
+    if (Array.isArray(value)) {
+        return value.map(decode)
+    }
+
+    if (value === null || typeof value !== 'object') {
+        return value
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(value, TypeKey)) {
+        return decodeProperties(value)
+    }
+
+    const name = value[TypeKey]
+    if (name === 'Object') {
+        return decodeProperties(value.value)
+    }
+
+    const builtin = builtinTypes.find(t => t[0] === name)
+    if (builtin) {
+        return builtin[3](decode(value.value))
+    }
+
+    const registered = types.get(name)
+    if (!registered) {
+        throw new Error(util.format('Unknown type %s, register it with registerType', name))
+    }
+
+    return registered.deserialize(decode(value.value))
+}
+
+// Serializers by id, the id is stored along with every row written by serializer
+const registry = new Map([
+    ['json', {
         serialize: o => JSON.stringify(o),
         deserialize: p => JSON.parse(p)
-    },
+    }],
 
-    cbor: {
+    ['cbor', {
         serialize: o => cbor.encode(o),
         deserialize: p => cbor.decode(p)
+    }],
+
+    // JSON keeping Date, Map, Set, Buffer, BigInt, undefined, non-finite numbers and registered classes
+    ['typed-json', {
+        serialize: o => JSON.stringify(encode(o)),
+        deserialize: p => decode(JSON.parse(p))
+    }]
+])
+
+const builtinSerializers = new Set(registry.keys())
+
+/**
+ * Registers `serializer` (`{serialize, deserialize}`) under `name`, so stores can pick it by name and read
+ * back rows it wrote after their default changed
+ */
+function registerSerializer(name, serializer) {
+    if (typeof name !== 'string' || name === '') {
+        throw new Error('Serializer name must be a non-empty string')
+    }
+
+    if (builtinSerializers.has(name)) {
+        throw new Error(util.format('Serializer %s is built in and can not be replaced', name))
     }
-}
\ No newline at end of file
+
+    if (!serializer || typeof serializer.serialize !== 'function' || typeof serializer.deserialize !== 'function') {
+        throw new Error(util.format('Serializer %s must have serialize and deserialize functions', name))
+    }
+
+    registry.set(name, serializer)
+}
+
+/**
+ * Returns serializer registered as `name` (default `cbor`)
+ */
+function resolveSerializer(name = 'cbor') {
+    const serializer = registry.get(name)
+    if (!serializer) {
+        throw new Error(util.format('Unknown serializer %s, expected one of: %s', name, [...registry.keys()].join(', ')))
+    }
+
+    return serializer
+}
+
+/**
+ * Registers class `type` with `typed-json` under `name`. Instances are stored as `serialize(instance)` (own
+ * properties by default) and revived with `deserialize(data)` (properties assigned to a new instance by default).
+ */
+function registerType(name, type, options = {}) {
+    if (typeof name !== 'string' || name === '' || name === 'Object' || builtinTypes.some(t => t[0] === name)) {
+        throw new Error(util.format('Type name %s is invalid or taken by a built-in type', name))
+    }
+
+    if (typeof type !== 'function') {
+        throw new Error(util.format('Type %s must be a class', name))
+    }
+
+    types.set(name, {
+        type,
+        serialize: options.serialize || (v => ({...v})),
+        deserialize: options.deserialize || (d => Object.assign(Object.create(type.prototype), d))
+    })
+}
+
+module.exports = {
+    registerSerializer,
+    registerType,
+    resolveSerializer
+}
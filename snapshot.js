@@ -0,0 +1,88 @@
+const cbor = require('cbor-x')
+const readline = require('readline')
+const { pipeline } = require('stream')
+const util = require('util')
+
+/**
+ * Snapshot formats, each record is a `{key, value, ttl, ...}` object. `encode` yields chunk of one record and
+ * `decode` turns readable stream into async iterable of records.
+ */
+const formats = {
+    // One JSON record per line, values must survive JSON round trip
+    ndjson: {
+        encode: record => JSON.stringify(record) + '\n',
+        decode: async function* (stream) {
+            let line = 0
+            for await (const text of readline.createInterface({input: stream, crlfDelay: Infinity})) {
+                line++
+                if (text.trim() === '') {
+                    continue
+                }
+
+                try {
+                    yield JSON.parse(text)
+                } catch (e) {
+                    throw new Error(util.format('Invalid snapshot record on line %d: %s', line, e.message))
+                }
+            }
+        }
+    },
+
+    // Sequence of CBOR records (RFC 8742), keeps Buffers, Dates and the like intact. Maps decode as objects, the
+    // way `cbor` serializer reads them.
+    cbor: {
+        encode: record => cbor.encode(record),
+        decode: stream => pipeline(stream, new cbor.DecoderStream({mapsAsObjects: true}), () => {})
+    }
+}
+
+/**
+ * Returns snapshot format `name` (default `ndjson`)
+ */
+function snapshotFormat(name = 'ndjson') {
+    const format = formats[name]
+    if (!format) {
+        throw new Error(util.format('Unknown snapshot format %s, expected one of: %s', name, Object.keys(formats).join(', ')))
+    }
+
+    return format
+}
+
+/**
+ * Writes `chunk` to `stream`, resolving once stream is ready for more
+ */
+function write(stream, chunk) {
+    return new Promise((ok, fail) => {
+        const failed = err => fail(err)
+        stream.once('error', failed)
+        const done = () => {
+            stream.removeListener('error', failed)
+            ok()
+        }
+
+        if (stream.write(chunk)) {
+            return done()
+        }
+
+        stream.once('drain', done)
+    })
+}
+
+/**
+ * Ends `stream`, resolving once everything written is flushed
+ */
+function end(stream) {
+    return new Promise((ok, fail) => {
+        stream.once('error', fail)
+        stream.end(() => {
+            stream.removeListener('error', fail)
+            ok()
+        })
+    })
+}
+
+module.exports = {
+    end,
+    snapshotFormat,
+    write
+}
@@ -0,0 +1,119 @@
+const assert = require('assert')
+const sinon = require('sinon')
+
+const sqliteStore = require('../index')
+
+const path = '/tmp/test-atomic.db'
+
+describe('sqliteStore incr/decr', () => {
+    it('creates and updates counters', async () => {
+        const store = sqliteStore.create({ name: 'incr_basic' })
+        assert.strictEqual(await store.incr('hits'), 1)
+        assert.strictEqual(await store.incr('hits', 5), 6)
+        assert.strictEqual(await store.decr('hits'), 5)
+        assert.strictEqual(await store.decr('hits', 10), -5)
+        assert.strictEqual(await store.get('hits'), -5)
+        assert.deepEqual(await store.mget('hits', 'missing'), [-5, undefined])
+    })
+
+    it('is atomic across stores sharing database', async () => {
+        const stores = [1, 2, 3].map(() => sqliteStore.create({ name: 'incr_shared', path }))
+        await stores[0].del('counter')
+        await Promise.all(stores.flatMap(s => Array.from({ length: 20 }, () => s.incr('counter'))))
+
+        assert.strictEqual(await stores[1].get('counter'), 60)
+        await Promise.all(stores.map(s => s.close()))
+    })
+
+    it('keeps expiry of live counters and restarts expired ones', async () => {
+        const clock = sinon.useFakeTimers({ now: new Date().getTime(), toFake: ['Date'] })
+        try {
+            const store = sqliteStore.create({ name: 'incr_ttl' })
+            await store.incr('window', {ttl: 10})
+            clock.tick(5000)
+            await store.incr('window', 1, {ttl: 100})
+            assert(await store.ttl('window') <= 5000)
+
+            clock.tick(6000)
+            assert.strictEqual(await store.get('window'), undefined)
+            assert.strictEqual(await store.incr('window', 3, {ttl: 10}), 3)
+        } finally {
+            clock.restore()
+        }
+    })
+
+    it('fails on keys holding other values', async () => {
+        const store = sqliteStore.create({ name: 'incr_value' })
+        await store.set('foo', 1)
+        await assert.rejects(store.incr('foo'), /Value of key foo is not a counter/)
+        assert.strictEqual(await store.get('foo'), 1)
+    })
+
+    it('supports callbacks', (done) => {
+        const store = sqliteStore.create({ name: 'incr_callback' })
+        store.incr('foo', 2, (err, val) => {
+            assert.strictEqual(val, 2)
+            done(err)
+        })
+    })
+})
+
+describe('sqliteStore setIfNotExists', () => {
+    it('writes only missing or expired keys', async () => {
+        const store = sqliteStore.create({ name: 'add_basic' })
+        assert.strictEqual(await store.setIfNotExists('foo', 1), true)
+        assert.strictEqual(await store.setIfNotExists('foo', 2), false)
+        assert.strictEqual(await store.get('foo'), 1)
+
+        await store.set('bar', 1, {ttl: -1})
+        assert.strictEqual(await store.setIfNotExists('bar', 2, {ttl: 10}), true)
+        assert.strictEqual(await store.get('bar'), 2)
+    })
+
+    it('lets exactly one of concurrent writers win', async () => {
+        const stores = [1, 2, 3].map(() => sqliteStore.create({ name: 'add_race', path }))
+        await stores[0].del('foo')
+        const won = await Promise.all(stores.map((s, i) => s.setIfNotExists('foo', i)))
+
+        assert.strictEqual(won.filter(Boolean).length, 1)
+        assert.strictEqual(await stores[0].get('foo'), won.indexOf(true))
+        await Promise.all(stores.map(s => s.close()))
+    })
+})
+
+describe('sqliteStore compareAndSet', () => {
+    it('writes when current value equals expected', async () => {
+        const store = sqliteStore.create({ name: 'cas_basic' })
+        await store.set('foo', {n: 1})
+
+        assert.strictEqual(await store.compareAndSet('foo', {n: 2}, {n: 3}), false)
+        assert.strictEqual(await store.compareAndSet('foo', {n: 1}, {n: 2}), true)
+        assert.deepEqual(await store.get('foo'), {n: 2})
+    })
+
+    it('treats undefined as missing entry', async () => {
+        const store = sqliteStore.create({ name: 'cas_missing' })
+        assert.strictEqual(await store.compareAndSet('foo', 1, 2), false)
+        assert.strictEqual(await store.compareAndSet('foo', undefined, 1), true)
+        assert.strictEqual(await store.compareAndSet('foo', undefined, 2), false)
+        assert.strictEqual(await store.get('foo'), 1)
+    })
+
+    it('loses against concurrent writers', async () => {
+        const stores = [1, 2, 3].map(() => sqliteStore.create({ name: 'cas_race', path }))
+        await stores[0].set('foo', 0)
+        const won = await Promise.all(stores.map((s, i) => s.compareAndSet('foo', 0, i + 1)))
+
+        assert.strictEqual(won.filter(Boolean).length, 1)
+        assert.strictEqual(await stores[0].get('foo'), won.indexOf(true) + 1)
+        await Promise.all(stores.map(s => s.close()))
+    })
+
+    it('compares encrypted values', async () => {
+        const encryption = { key: Buffer.alloc(32, 1) }
+        const store = sqliteStore.create({ name: 'cas_encrypted', options: { encryption } })
+        await store.set('foo', 'bar')
+        assert.strictEqual(await store.compareAndSet('foo', 'bar', 'baz', {ttl: 10}), true)
+        assert.strictEqual(await store.get('foo'), 'baz')
+    })
+})
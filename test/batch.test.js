@@ -0,0 +1,150 @@
+const assert = require('assert')
+const sinon = require('sinon')
+const { Database } = require('./support/driver')
+
+const sqliteStore = require('../index')
+const { sleep } = require('./support/sleep')
+
+const path = '/tmp/test-batch.db'
+
+describe('sqliteStore mdel', () => {
+    it('deletes multiple keys at once', async () => {
+        const store = sqliteStore.create({ name: 'mdel' })
+        await store.mset('a', 1, 'b', 2, 'c', 3)
+        const deleted = []
+        store.on('del', k => deleted.push(k))
+
+        await store.mdel('a', 'c', 'missing')
+        assert.deepEqual(await store.mget('a', 'b', 'c'), [undefined, 2, undefined])
+        assert.deepEqual(deleted, ['a', 'c', 'missing'])
+        assert.strictEqual((await store.stats()).deletes, 2)
+    })
+
+    it('supports callbacks', (done) => {
+        const store = sqliteStore.create({ name: 'mdel_callback' })
+        store.mset('a', 1, 'b', 2, () => store.mdel('a', 'b', (err) => {
+            store.mget('a', 'b', (_, values) => {
+                assert.deepEqual(values, [undefined, undefined])
+                done(err)
+            })
+        }))
+    })
+})
+
+describe('sqliteStore large batches', () => {
+    const keys = Array.from({ length: 5000 }, (_, i) => 'key' + i)
+
+    it('splits statements to stay under bound parameter limit', async () => {
+        const store = sqliteStore.create({ name: 'large_batch' })
+        const run = sinon.spy(store.db, 'run')
+        assert.strictEqual(await store.mset(...keys.flatMap(k => [k, k]), {tags: ['t1', 't2']}), true)
+
+        assert(run.args.every(([, binding]) => !Array.isArray(binding) || binding.length <= 999))
+        assert.strictEqual(run.firstCall.args[0], 'BEGIN IMMEDIATE')
+        assert.deepEqual(await store.mget(...keys), keys)
+
+        await store.mdel(...keys)
+        assert.deepEqual(await store.keys(), [])
+        run.restore()
+    })
+
+    it('splits reads tracking access and tag invalidation', async () => {
+        const store = sqliteStore.create({ name: 'large_batch_reads', options: { sliding: true, ttl: 60, maxEntries: 10000 } })
+        const errors = []
+        store.on('error', err => errors.push(err))
+        await store.mset(...keys.flatMap(k => [k, k]))
+        await store.set('tagged', 1, {tags: keys})
+        const run = sinon.spy(store.db, 'run')
+
+        assert.deepEqual(await store.mget(...keys), keys)
+        await sleep(20)
+        assert.strictEqual((await store.getWithMetadata(keys[keys.length - 1])).hits, 1)
+        assert.strictEqual(await store.invalidateTags(keys), 1)
+
+        assert(run.args.every(([, binding]) => !Array.isArray(binding) || binding.length <= 999))
+        assert.deepEqual(errors, [])
+        run.restore()
+    })
+})
+
+describe('sqliteStore write-behind', () => {
+    it('coalesces writes within window into single transaction', async () => {
+        const store = sqliteStore.create({ name: 'wb_coalesce', options: { writeBehind: { window: 20 } } })
+        await store.ready()
+        const run = sinon.spy(store.db, 'run')
+
+        await Promise.all([
+            store.set('a', 1),
+            store.mset('b', 2, 'c', 3, {ttl: 10}),
+            store.set('a', 4),
+            store.del('c'),
+            store.mdel('missing')
+        ])
+
+        assert.strictEqual(run.args.filter(([stmt]) => stmt === 'BEGIN IMMEDIATE').length, 1)
+        assert.deepEqual(await store.mget('a', 'b', 'c'), [4, 2, undefined])
+        assert(await store.ttl('b') <= 10000)
+        run.restore()
+    })
+
+    it('reads pending writes back in same process', async () => {
+        const store = sqliteStore.create({ name: 'wb_read', path, options: { writeBehind: { window: 1000 } } })
+        const other = sqliteStore.create({ name: 'wb_read', path })
+        await other.reset()
+        await other.set('b', 1)
+
+        const writes = Promise.all([store.set('a', {foo: 1}), store.del('b'), store.set('c', 1, {ttl: -1})])
+        assert.deepEqual(await store.mget('a', 'b', 'c'), [{foo: 1}, undefined, undefined])
+        assert.deepEqual(await other.mget('a', 'b', 'c'), [undefined, 1, undefined])
+
+        await store.flush()
+        await writes
+        assert.deepEqual(await other.mget('a', 'b', 'c'), [{foo: 1}, undefined, undefined])
+        await Promise.all([store.close(), other.close()])
+    })
+
+    it('flushes before operations reading or writing database directly', async () => {
+        const store = sqliteStore.create({ name: 'wb_direct', options: { writeBehind: { window: 1000 } } })
+        store.set('a', 1)
+        store.set('counter', 5, {tags: ['t']})
+
+        assert.deepEqual(await store.keys(), ['a', 'counter'])
+        store.del('a')
+        assert.strictEqual(await store.ttl('a'), -1)
+        store.set('b', 1, {tags: ['t']})
+        assert.strictEqual(await store.invalidateTags('t'), 2)
+    })
+
+    it('flushes once maxBatch keys are pending', async () => {
+        const store = sqliteStore.create({ name: 'wb_max', path, options: { writeBehind: { window: 60 * 1000, maxBatch: 2 } } })
+        const other = sqliteStore.create({ name: 'wb_max', path })
+        store.set('a', 1)
+        store.set('b', 2)
+        await sleep(20)
+
+        assert.deepEqual(await other.mget('a', 'b'), [1, 2])
+        await Promise.all([store.close(), other.close()])
+    })
+
+    it('flushes pending writes on close', async () => {
+        const store = sqliteStore.create({ name: 'wb_close', path, options: { writeBehind: { window: 60 * 1000 } } })
+        store.set('a', 1)
+        await store.close()
+
+        const reopened = sqliteStore.create({ name: 'wb_close', path })
+        assert.strictEqual(await reopened.get('a'), 1)
+        await reopened.close()
+    })
+
+    it('fails pending writes when flush fails', async () => {
+        const store = sqliteStore.create({ name: 'wb_fail', options: { writeBehind: true } })
+        await store.ready()
+        const run = sinon.stub(Database.prototype, 'run').yieldsRight(new Error('Fake error'))
+
+        try {
+            await assert.rejects(Promise.all([store.set('a', 1), store.del('b')]), {message: 'Fake error'})
+        } finally {
+            run.restore()
+        }
+    })
+})
@@ -0,0 +1,190 @@
+const assert = require('assert')
+const cacheManager = require('cache-manager-v5')
+const sinon = require('sinon')
+const { Database } = require('./support/driver')
+
+const { sqliteStore } = require('../v5')
+
+describe('cacheManager v5 open', () => {
+    it('should be able to open via options', async () => {
+        let ready = false
+        await cacheManager.caching(sqliteStore, {
+            name: 'fool',
+            path: '/tmp/cache.db',
+            options: {
+                onReady: () => ready = true
+            }
+        })
+
+        assert(ready)
+    })
+
+    it('should be able to use default options', async () => {
+        const cache = await cacheManager.caching(sqliteStore)
+        assert.strictEqual(cache.store.name, 'sqlite')
+    })
+
+    it('should fail when table can not be created', async () => {
+        await assert.rejects(cacheManager.caching(sqliteStore, { name: 'bad name' }))
+    })
+})
+
+describe('cacheManager v5 promised', () => {
+    let cache
+
+    before(async () => {
+        cache = await cacheManager.caching(sqliteStore, {
+            name: 'v5',
+            path: '/tmp/test1.db'
+        })
+    })
+
+    it('get value when TTL within range from set', async () => {
+        const key = 'foo' + new Date().getTime()
+        const valu = {foo: 1}
+
+        await cache.set(key, valu, -200)
+        const val = await cache.get(key)
+        assert.strictEqual(val, undefined)
+    })
+
+    it('should read saved value', async () => {
+        const key = 'foo' + new Date().getTime()
+        const valu = {foo: 1}
+
+        await cache.set(key, valu)
+        const val = await cache.get(key)
+        assert.deepEqual(val, valu)
+    })
+
+    it('does not error on del non-existent key', async () => {
+        const key = 'foo' + new Date().getTime()
+
+        await cache.del(key)
+    })
+
+    it('removes existing key with del', async () => {
+        const key = 'foo' + new Date().getTime()
+        const valu = {foo: 1}
+
+        await cache.set(key, valu)
+        await cache.del(key)
+        const v = await cache.get(key)
+        assert.strictEqual(v, undefined)
+    })
+
+    it('truncates database on reset', async () => {
+        const key = 'foo' + new Date().getTime()
+        const valu = {foo: 1}
+
+        await cache.set(key, valu)
+        await cache.reset()
+        const v = await cache.get(key)
+        assert.strictEqual(v, undefined)
+    })
+
+    it('returns ttl of key in milliseconds', async () => {
+        const key = 'foo' + new Date().getTime()
+        const valu = {foo: 1}
+
+        await cache.set(key, valu, 10 * 1000)
+        const v = await cache.store.ttl(key)
+        assert(v > 9000 && v <= 10000)
+    })
+
+    it('returns ttl a negative value for non-existent keys', async () => {
+        const key = 'missing' + new Date().getTime()
+        const v = await cache.store.ttl(key)
+        assert(v < 0)
+    })
+
+    it('wraps values', async () => {
+        const key = 'wrapped' + new Date().getTime()
+        const loader = sinon.fake.resolves({foo: 1})
+
+        assert.deepEqual(await cache.wrap(key, loader), {foo: 1})
+        assert.deepEqual(await cache.wrap(key, loader), {foo: 1})
+        assert(loader.calledOnce)
+    })
+
+    it('mget fetches array of multiple objects ', async () => {
+        await cache.set('foo1', 1)
+        await cache.set('foo2', 2)
+        await cache.set('foo3', 3)
+        const rs = await cache.store.mget('foo1', 'foo2', 'foo3')
+        assert.deepEqual(rs, [1, 2, 3])
+    })
+
+    it('mset sets multiple values in single call', async () => {
+        await cache.store.mset([['goo1', 1], ['goo2', [2]], ['goo3', 3]])
+        const rs = await cache.store.mget('goo1', 'goo2', 'goo3')
+        assert.deepEqual(rs, [1, [2], 3])
+    })
+
+    it('mset respects ttl if passed', async () => {
+        await cache.store.mset([['too1', 1], ['too2', 2], ['too3', 3]], -1)
+        const rs = await cache.store.mget('too1', 'too2', 'too3')
+        assert.deepEqual(rs, [undefined, undefined, undefined])
+    })
+
+    it('mdel removes multiple keys', async () => {
+        await cache.store.mset([['doo1', 1], ['doo2', 2], ['doo3', 3]])
+        await cache.store.mdel('doo1', 'doo2')
+        const rs = await cache.store.mget('doo1', 'doo2', 'doo3')
+        assert.deepEqual(rs, [undefined, undefined, 3])
+    })
+
+    it('lists keys', async () => {
+        await cache.reset()
+        await cache.store.mset([['koo1', 1], ['koo2', 2], ['zoo', 3]])
+        assert.deepEqual(await cache.store.keys(), ['koo1', 'koo2', 'zoo'])
+        assert.deepEqual(await cache.store.keys('koo*'), ['koo1', 'koo2'])
+    })
+})
+
+describe('sqliteStore v5 construction', () => {
+    it('should apply default ttl of store in milliseconds when not passed in set', async () => {
+        const cache = await cacheManager.caching(sqliteStore, {
+            name: 'v5_ttl',
+            ttl: 5 * 1000
+        })
+
+        const key = 'foo' + new Date().getTime()
+        await cache.set(key, {foo: 1})
+        const v = await cache.store.ttl(key)
+        assert(v > 4000 && v <= 5000)
+    })
+
+    it('exposes underlying adapter', async () => {
+        const cache = await cacheManager.caching(sqliteStore, { name: 'v5_adapter' })
+        await cache.set('foo', 1)
+        assert.deepEqual(await cache.store.adapter.mget('foo', {}), [1])
+    })
+})
+
+describe('Sqlite v5 failures', () => {
+    let cache
+    let allSpy
+
+    before(async () => {
+        cache = await cacheManager.caching(sqliteStore)
+    })
+
+    beforeEach(() => {
+        allSpy = sinon.stub(Database.prototype, "all")
+    })
+
+    afterEach(() => {
+        allSpy.restore()
+    })
+
+    it('should fail get if sqlite errors out', async () => {
+        allSpy.yieldsRight(new Error('Fake error'))
+        await assert.rejects(cache.get('foo'), {message: 'Fake error'})
+    })
+
+    it('should fail ttl if sqlite errors out', async () => {
+        allSpy.yieldsRight(new Error('Fake error'))
+        await assert.rejects(cache.store.ttl('foo'), {message: 'Fake error'})
+    })
+})
@@ -1,7 +1,7 @@
 const assert = require('assert')
 const cacheManager = require('cache-manager')
 const sinon = require('sinon')
-const sqlite3 = require('sqlite3')
+const { Database } = require('./support/driver')
 
 const sqliteStore = require('../index')
 
@@ -89,6 +89,8 @@ describe('cacheManager promised', () => {
         await cache.set(key, valu)
         const v = await cache.ttl(key)
         assert(v > 0)
+
+        await cache.del(key)
     })
 
     it('returns ttl a negative value for non-existent keys', async () => {
@@ -121,6 +123,11 @@ describe('cacheManager promised', () => {
         assert.deepEqual(rs, [1, 2, 3])
     })
 
+    it('mget keeps order of keys with missing values', async () => {
+        const rs = await cache.mget('foo3', 'missing' + new Date().getTime(), 'foo1')
+        assert.deepEqual(rs, [3, undefined, 1])
+    })
+
     it('mset sets multiple values in single call', async () => {
         await cache.mset('goo1', 1, 'goo2', 2, 'goo3', 3)
         const rs = await cache.mget('goo1', 'goo2', 'goo3')
@@ -142,7 +149,7 @@ describe('Sqlite failures failures', () => {
     let allSpy
 
     beforeEach(() => {
-        allSpy = sinon.stub(sqlite3.Database.prototype, "all")
+        allSpy = sinon.stub(Database.prototype, "all")
         allSpy.reset()
     })
 
@@ -168,6 +175,11 @@ describe('Sqlite failures failures', () => {
         }
     })
 
+    it('should fail keys if sqlite errors out', async () => {
+        allSpy.yieldsRight(new Error('Fake error'))
+        await assert.rejects(cache.keys('foo*'), {message: 'Fake error'})
+    })
+
     it('should return undefined value if stored value is junk', async () => {
         const ts = new Date().getTime()
         allSpy.yieldsRight(null, [{key: 'foo', val: '~junk~', created_at: ts, expire_at: ts + 36000}])
@@ -241,3 +253,52 @@ describe('cacheManager callback', () => {
         })
     })
 })
+
+describe('cacheManager keys', () => {
+    const cache = cacheManager.caching({
+        store: sqliteStore,
+        name: 'keys_test'
+    })
+
+    beforeEach(async () => {
+        await cache.reset()
+        await cache.mset('user:1:name', 'a', 'user:1:age', 1, 'user:2:name', 'b', 'post:1', 'p')
+    })
+
+    it('lists all live keys when no pattern passed', async () => {
+        await cache.set('gone', 1, {ttl: -1})
+        assert.deepEqual(await cache.keys(), ['post:1', 'user:1:age', 'user:1:name', 'user:2:name'])
+    })
+
+    it('filters keys by glob pattern', async () => {
+        assert.deepEqual(await cache.keys('user:1:*'), ['user:1:age', 'user:1:name'])
+        assert.deepEqual(await cache.keys('user:?:name'), ['user:1:name', 'user:2:name'])
+    })
+
+    it('pages through keys with cursor and limit', async () => {
+        const first = await cache.keys('*', {limit: 3})
+        assert.deepEqual(first, ['post:1', 'user:1:age', 'user:1:name'])
+
+        const second = await cache.keys('*', {limit: 3, cursor: first[first.length - 1]})
+        assert.deepEqual(second, ['user:2:name'])
+    })
+
+    it('supports callbacks', (done) => {
+        cache.keys('post:*', (err, keys) => {
+            assert.deepEqual(keys, ['post:1'])
+            done(err)
+        })
+    })
+
+    it('deletes keys matching pattern', async () => {
+        assert.strictEqual(await cache.store.delByPattern('user:1:*'), 2)
+        assert.deepEqual(await cache.keys(), ['post:1', 'user:2:name'])
+    })
+
+    it('deletes keys matching pattern with callback', (done) => {
+        cache.store.delByPattern('post:*', (err, count) => {
+            assert.strictEqual(count, 1)
+            done(err)
+        })
+    })
+})
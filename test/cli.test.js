@@ -0,0 +1,107 @@
+const assert = require('assert')
+const { execFile } = require('child_process')
+const fs = require('fs')
+const { PassThrough } = require('stream')
+
+const sqliteStore = require('../index')
+const { run } = require('../cli')
+const { driver } = require('./support/driver')
+
+const path = '/tmp/test-cli.db'
+
+/**
+ * Runs command line against test database, yielding exit code and what was printed
+ */
+async function cli(...argv) {
+    const out = new PassThrough()
+    const err = new PassThrough()
+    const code = await run([...argv.slice(0, 1), path, ...argv.slice(1), '--driver', driver], out, err)
+    return {code, out: String(out.read() || ''), err: String(err.read() || '')}
+}
+
+async function json(...argv) {
+    const {code, out, err} = await cli(...argv, '--json')
+    assert.strictEqual(code, 0, err)
+    return JSON.parse(out)
+}
+
+describe('cache-manager-sqlite cli', () => {
+    before(async () => {
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(path + suffix, { force: true })
+        }
+
+        const kv = sqliteStore.create({ name: 'kv', path, options: { ttl: 60 } })
+        await kv.set('user:1', {name: 'Ann'})
+        await kv.set('user:2', 'forever', {ttl: 0})
+        await kv.set('post:1', 'x'.repeat(2000))
+        await kv.set('expired', 1, {ttl: -1})
+        await kv.incr('visits', 3)
+        await kv.close()
+
+        const other = sqliteStore.create({ name: 'sessions', path, options: { serializer: 'json', compression: 'gzip' } })
+        await other.set('s1', 'y'.repeat(2000))
+        await other.close()
+    })
+
+    it('lists namespaces with their entries', async () => {
+        assert.deepEqual(await json('namespaces'), [{name: 'kv', entries: 4}, {name: 'sessions', entries: 1}])
+        assert.strictEqual((await cli('namespaces')).out, 'kv\t4\nsessions\t1\n')
+    })
+
+    it('lists keys matching pattern with remaining TTL', async () => {
+        const keys = await json('keys', 'user:*')
+        assert.deepEqual(keys.map(k => k.key), ['user:1', 'user:2'])
+        assert(keys[0].ttl > 59000 && keys[0].ttl <= 60000)
+        assert.strictEqual(keys[1].ttl, null)
+
+        assert.deepEqual((await json('keys', '--limit', '2')).map(k => k.key), ['post:1', 'user:1'])
+        assert.match((await cli('keys', 'user:*')).out, /^user:1\t\d+\.\ds\nuser:2\tnever\n$/)
+    })
+
+    it('decodes values with store serializers and codecs', async () => {
+        const entry = await json('get', 'user:1')
+        assert.deepEqual(entry.value, {name: 'Ann'})
+        assert.strictEqual(entry.stale, false)
+        assert.strictEqual((await json('get', 'visits')).value, 3)
+        assert.strictEqual((await json('get', 's1', '-n', 'sessions', '--serializer', 'json')).value, 'y'.repeat(2000))
+        assert.strictEqual((await cli('get', 'user:1')).out, '{\n  "name": "Ann"\n}\n')
+    })
+
+    it('reports missing keys, namespaces and commands', async () => {
+        assert.deepEqual(await cli('get', 'expired'), {code: 1, out: '', err: 'Error: Key expired not found\n'})
+        assert.match((await cli('keys', '--namespace', 'nope')).err, /Unknown namespace nope, database has: kv, sessions/)
+        assert.match((await cli('frobnicate')).err, /Unknown command frobnicate/)
+        assert.deepEqual(JSON.parse((await cli('get', 'missing', '--json')).err), {error: 'Key missing not found'})
+    })
+
+    it('shows stats of namespace', async () => {
+        const stats = await json('stats')
+        assert.strictEqual(stats.namespace, 'kv')
+        assert.strictEqual(stats.entries, 4)
+        assert.strictEqual(stats.expired, 1)
+        assert(stats.valueBytes > 2000)
+        assert(stats.dbSize > 0)
+    })
+
+    it('deletes keys and patterns, purges and vacuums', async () => {
+        assert.deepEqual(await json('purge'), {purged: 1})
+        assert.deepEqual(await json('del', 'user:1', 'missing'), {deleted: 1})
+        assert.deepEqual(await json('del-pattern', 'post:*'), {deleted: 1})
+        assert.deepEqual(await json('vacuum'), {vacuumed: true})
+        assert.deepEqual((await json('keys')).map(k => k.key), ['user:2', 'visits'])
+    })
+
+    it('prints usage', async () => {
+        const out = new PassThrough()
+        assert.strictEqual(await run(['--help'], out), 0)
+        assert.match(String(out.read()), /^Usage: cache-manager-sqlite <command> <database>/)
+    })
+
+    it('runs as bin', (done) => {
+        execFile(process.execPath, [require.resolve('../bin/cache-manager-sqlite'), 'namespaces', path, '--json'], (err, stdout) => {
+            assert.deepEqual(JSON.parse(stdout).map(n => n.name), ['kv', 'sessions'])
+            done(err)
+        })
+    })
+})
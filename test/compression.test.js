@@ -0,0 +1,69 @@
+const assert = require('assert')
+const cacheManager = require('cache-manager')
+const sqliteStore = require('../index')
+
+const large = { items: Array.from({ length: 200 }, (_, i) => ({ id: i, name: 'item ' + i })) }
+
+function compressedCache(name, options, path) {
+    return cacheManager.caching({
+        store: sqliteStore,
+        name,
+        path,
+        options
+    })
+}
+
+function codecOf(cache, name, key) {
+    return new Promise((ok, fail) => {
+        cache.store.db.get(`SELECT codec FROM ${name} WHERE key = ?`, [key], (err, row) => {
+            return err ? fail(err) : ok(row.codec)
+        })
+    })
+}
+
+describe('cacheManager compression', () => {
+    for (const codec of ['gzip', 'deflate', 'brotli']) {
+        it(`supports ${codec}`, async () => {
+            const cache = compressedCache('compress_' + codec, { compression: codec })
+
+            await cache.set('foo', large)
+            assert.deepEqual(await cache.get('foo'), large)
+            assert.strictEqual(await codecOf(cache, 'compress_' + codec, 'foo'), codec)
+        })
+    }
+
+    it('keeps string payloads of serializer as strings', async () => {
+        const cache = compressedCache('compress_json', { compression: 'gzip', serializer: 'json' })
+
+        await cache.set('foo', large)
+        assert.deepEqual(await cache.get('foo'), large)
+        assert.strictEqual(await codecOf(cache, 'compress_json', 'foo'), 'gzip:utf8')
+    })
+
+    it('skips compression below threshold', async () => {
+        const cache = compressedCache('compress_small', { compression: 'gzip', compressionThreshold: 64 })
+
+        await cache.set('foo', {foo: 'bar'})
+        assert.deepEqual(await cache.get('foo'), {foo: 'bar'})
+        assert.strictEqual(await codecOf(cache, 'compress_small', 'foo'), null)
+    })
+
+    it('reads rows written with other compression settings', async () => {
+        const path = '/tmp/test-compression.db'
+        const plain = compressedCache('compress_mixed', {}, path)
+        const gzip = compressedCache('compress_mixed', { compression: 'gzip' }, path)
+        const brotli = compressedCache('compress_mixed', { compression: 'brotli' }, path)
+
+        await plain.set('plain', large)
+        await gzip.set('gzip', large)
+        await brotli.set('brotli', large)
+
+        for (const cache of [plain, gzip, brotli]) {
+            assert.deepEqual(await cache.mget('plain', 'gzip', 'brotli'), [large, large, large])
+        }
+    })
+
+    it('rejects unknown codec', () => {
+        assert.throws(() => compressedCache('compress_bad', { compression: 'zstd' }), /Unknown compression codec zstd/)
+    })
+})
@@ -0,0 +1,83 @@
+const assert = require('assert')
+const { execFile } = require('child_process')
+const fs = require('fs')
+
+const sqliteStore = require('../index')
+const { SyncDatabase } = require('../drivers')
+
+const path = '/tmp/test-drivers.db'
+
+describe('sqliteStore drivers', () => {
+    it('rejects unknown drivers', () => {
+        assert.throws(
+            () => sqliteStore.create({ options: { driver: 'mysql' } }),
+            /Unknown driver mysql, expected one of: sqlite3, better-sqlite3, node:sqlite/
+        )
+    })
+
+    it('shares database file with processes using other drivers', async () => {
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(path + suffix, { force: true })
+        }
+
+        const store = sqliteStore.create({ name: 'drivers_shared', path, options: { driver: 'sqlite3' } })
+        await store.set('foo', {bar: 1})
+
+        const script = `
+            const store = require(${JSON.stringify(require.resolve('../index'))})
+                .create({ name: 'drivers_shared', path: ${JSON.stringify(path)}, options: { driver: 'better-sqlite3' } })
+            store.get('foo').then(foo => store.incr('counter').then(counter => store.close().then(() =>
+                process.stdout.write(JSON.stringify([foo, counter])))))
+        `
+        const output = await new Promise((ok, fail) => execFile(process.execPath, ['-e', script],
+            (err, stdout) => err ? fail(err) : ok(stdout)))
+
+        assert.deepEqual(JSON.parse(output), [{bar: 1}, 1])
+        assert.strictEqual(await store.incr('counter'), 2)
+        await store.close()
+    }).timeout(10000)
+
+    it('refuses to open a file open with another driver in same process', async () => {
+        const store = sqliteStore.create({ name: 'drivers_exclusive', path, options: { driver: 'sqlite3' } })
+        await store.ready()
+        assert.throws(
+            () => sqliteStore.create({ name: 'drivers_exclusive', path, options: { driver: 'better-sqlite3' } }),
+            /Database \/tmp\/test-drivers.db is already open with driver sqlite3, can not open it with better-sqlite3/
+        )
+
+        await store.close()
+        const other = sqliteStore.create({ name: 'drivers_exclusive', path, options: { driver: 'better-sqlite3' } })
+        await other.ready()
+        await other.close()
+    })
+
+    it('reports statement failures of synchronous drivers like sqlite3', async () => {
+        const store = sqliteStore.create({ name: 'drivers_errors', options: { driver: 'better-sqlite3' } })
+        await store.ready()
+
+        await assert.rejects(
+            new Promise((ok, fail) => store.db.run('SELECT * FROM missing', err => err ? fail(err) : ok())),
+            {code: 'SQLITE_ERROR', message: 'SQLITE_ERROR: no such table: missing'}
+        )
+        await store.close()
+        assert.strictEqual(store.db.open, false)
+    })
+
+    it('names result codes of node:sqlite errors like sqlite3', async () => {
+        const nodeError = (message, errcode) => Object.assign(new Error(message), {code: 'ERR_SQLITE_ERROR', errcode})
+        const opening = new Promise(ok => new SyncDatabase({ connect: () => { throw nodeError('unable to open database file', 14) } }, '', 0, ok))
+        assert.deepEqual(await opening.then(err => [err.code, err.message]), ['SQLITE_CANTOPEN', 'SQLITE_CANTOPEN: unable to open database file'])
+
+        const native = { prepare: () => ({ run: () => { throw nodeError('UNIQUE constraint failed: t.a', 2067) } }) }
+        const db = new SyncDatabase({ connect: () => native, args: params => params }, '', 0)
+        await assert.rejects(
+            new Promise((ok, fail) => db.run('INSERT INTO t VALUES (1)', [], err => err ? fail(err) : ok())),
+            {code: 'SQLITE_CONSTRAINT', message: 'SQLITE_CONSTRAINT: UNIQUE constraint failed: t.a'}
+        )
+    })
+
+    it('fails to open missing directories with SQLITE_CANTOPEN', async () => {
+        const store = sqliteStore.create({ path: '/tmp/does-not-exist/cache.db', options: { driver: 'better-sqlite3' } })
+        await assert.rejects(store.ready(), /SQLITE_CANTOPEN/)
+    })
+})
@@ -0,0 +1,98 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const sqliteStore = require('../index')
+
+const path = '/tmp/test-encryption.db'
+const key1 = crypto.randomBytes(32)
+const key2 = crypto.randomBytes(32)
+
+function encryptedStore(name, encryption, options) {
+    return sqliteStore.create({ name, path, options: { encryption, ...options } })
+}
+
+function rawValue(store, name, key) {
+    return new Promise((ok, fail) => {
+        store.db.get(`SELECT val, key_id FROM ${name} WHERE key = ?`, [key], (err, row) => {
+            return err ? fail(err) : ok(row)
+        })
+    })
+}
+
+describe('sqliteStore encryption', () => {
+    it('encrypts values at rest', async () => {
+        const store = encryptedStore('enc_basic', { key: key1 })
+        await store.set('foo', {secret: 'plaintext-token'})
+
+        assert.deepEqual(await store.get('foo'), {secret: 'plaintext-token'})
+        const row = await rawValue(store, 'enc_basic', 'foo')
+        assert.strictEqual(row.key_id, 'default')
+        assert(!row.val.toString('latin1').includes('plaintext-token'))
+    })
+
+    it('round trips string payloads and compressed payloads', async () => {
+        const json = encryptedStore('enc_json', { key: key1.toString('hex') }, { serializer: 'json' })
+        await json.set('foo', {secret: 'bar'})
+        assert.deepEqual(await json.get('foo'), {secret: 'bar'})
+
+        const large = { items: Array.from({ length: 100 }, (_, i) => 'item ' + i) }
+        const compressed = encryptedStore('enc_gzip', { key: key1.toString('base64') }, { serializer: 'json', compression: 'gzip' })
+        await compressed.set('foo', large)
+        assert.deepEqual(await compressed.get('foo'), large)
+    })
+
+    it('reads entries of rotated keys', async () => {
+        const before = encryptedStore('enc_rotate', { key: key1, keyId: 'k1' })
+        const after = encryptedStore('enc_rotate', { key: key2, keyId: 'k2', keys: { k1: key1 } })
+
+        await before.set('old', 1)
+        await after.set('new', 2)
+        assert.deepEqual(await after.mget('old', 'new', {}), [1, 2])
+        assert.strictEqual((await rawValue(after, 'enc_rotate', 'new')).key_id, 'k2')
+
+        await assert.rejects(before.get('new'), err => {
+            assert(err instanceof sqliteStore.DecryptionError)
+            assert.strictEqual(err.key, 'new')
+            assert.strictEqual(err.keyId, 'k2')
+            return true
+        })
+    })
+
+    it('resolves keys through key provider', async () => {
+        const provider = id => ({ k1: key1, k2: key2 })[id]
+        const before = encryptedStore('enc_provider', { keyId: 'k1', keyProvider: provider })
+        const after = encryptedStore('enc_provider', { keyId: 'k2', keyProvider: provider })
+
+        await before.set('foo', 1)
+        assert.strictEqual(await after.get('foo'), 1)
+    })
+
+    it('fails with DecryptionError on wrong key', async () => {
+        const right = encryptedStore('enc_wrong', { key: key1 })
+        const wrong = encryptedStore('enc_wrong', { key: key2 })
+
+        await right.set('foo', 1)
+        await assert.rejects(wrong.get('foo'), sqliteStore.DecryptionError)
+        await assert.rejects(wrong.getWithMetadata('foo'), /Unable to decrypt entry with key default/)
+    })
+
+    it('fails with DecryptionError when store has no encryption', async () => {
+        const encrypted = encryptedStore('enc_missing', { key: key1 })
+        const plain = sqliteStore.create({ name: 'enc_missing', path })
+
+        await encrypted.set('foo', 1)
+        await assert.rejects(plain.get('foo'), /Entry is encrypted with key default but store has no encryption/)
+    })
+
+    it('reads entries written before encryption was turned on', async () => {
+        const plain = sqliteStore.create({ name: 'enc_upgrade', path })
+        const encrypted = encryptedStore('enc_upgrade', { key: key1 })
+
+        await plain.set('foo', 1)
+        assert.strictEqual(await encrypted.get('foo'), 1)
+    })
+
+    it('rejects invalid or unavailable keys', () => {
+        assert.throws(() => encryptedStore('enc_bad', { key: Buffer.alloc(16) }), /Encryption key default must be 32 bytes/)
+        assert.throws(() => encryptedStore('enc_bad', { keyId: 'k3', keyProvider: () => undefined }), /Encryption key k3 is not available/)
+    })
+})
@@ -0,0 +1,107 @@
+const assert = require('assert')
+const cacheManager = require('cache-manager')
+const sinon = require('sinon')
+
+const sqliteStore = require('../index')
+
+function boundedCache(name, options) {
+    return cacheManager.caching({
+        store: sqliteStore,
+        name,
+        options: { serializer: 'json', ...options }
+    })
+}
+
+describe('cacheManager eviction', () => {
+    let clock
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] })
+    })
+
+    afterEach(() => {
+        clock.restore()
+    })
+
+    it('evicts least recently used entries over maxEntries', async () => {
+        const cache = boundedCache('evict_lru', { maxEntries: 3 })
+        await cache.reset()
+
+        for (const k of ['a', 'b', 'c']) {
+            await cache.set(k, k)
+            clock.tick(10)
+        }
+
+        assert.strictEqual(await cache.get('a'), 'a')
+        clock.tick(10)
+        await cache.set('d', 'd')
+
+        await cache.store.evict()
+        assert.deepEqual(await cache.keys(), ['a', 'c', 'd'])
+    })
+
+    it('evicts least frequently used entries with lfu policy', async () => {
+        const cache = boundedCache('evict_lfu', { maxEntries: 3, evictionPolicy: 'lfu' })
+        await cache.reset()
+
+        for (const k of ['a', 'b', 'c']) {
+            await cache.set(k, k)
+            clock.tick(10)
+        }
+
+        await cache.get('a')
+        await cache.get('a')
+        await cache.get('c')
+        clock.tick(10)
+        await cache.set('d', 'd')
+
+        await cache.store.evict()
+        assert.deepEqual(await cache.keys(), ['a', 'c', 'd'])
+    })
+
+    it('evicts entries over maxBytes', async () => {
+        // Each JSON serialized value takes 12 bytes
+        const cache = boundedCache('evict_bytes', { maxBytes: 30 })
+        await cache.reset()
+
+        for (const k of ['a', 'b', 'c']) {
+            await cache.set(k, '0123456789')
+            clock.tick(10)
+        }
+
+        await cache.store.evict()
+        assert.deepEqual(await cache.keys(), ['b', 'c'])
+    })
+
+    it('removes expired entries before evicting live ones', async () => {
+        const cache = boundedCache('evict_expired', { maxEntries: 2 })
+        await cache.reset()
+
+        await cache.set('a', 'a')
+        await cache.set('b', 'b', { ttl: 1 })
+        clock.tick(2000)
+        await cache.set('c', 'c')
+
+        await cache.store.evict()
+        assert.deepEqual(await cache.keys(), ['a', 'c'])
+    })
+
+    it('runs eviction automatically after writes', async () => {
+        const cache = boundedCache('evict_auto', { maxEntries: 1 })
+        await cache.reset()
+
+        await cache.mset('a', 1, 'b', 2, 'c', 3)
+        await new Promise(ok => setTimeout(ok, 50))
+        assert.strictEqual((await cache.keys()).length, 1)
+    })
+
+    it('does not evict from unbounded stores', async () => {
+        const cache = boundedCache('evict_none', {})
+        await cache.set('a', 1)
+        assert.strictEqual(await cache.store.evict(), 0)
+    })
+
+    it('rejects unknown eviction policy', () => {
+        assert.throws(() => boundedCache('evict_bad', { maxEntries: 1, evictionPolicy: 'fifo' }), /Unknown eviction policy fifo/)
+    })
+})
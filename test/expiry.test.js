@@ -0,0 +1,112 @@
+const assert = require('assert')
+const sinon = require('sinon')
+
+const sqliteStore = require('../index')
+
+describe('sqliteStore expiry', () => {
+    let clock
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: new Date().getTime(), toFake: ['Date'] })
+    })
+
+    afterEach(() => {
+        clock.restore()
+    })
+
+    it('keeps entries with ttl of 0 forever', async () => {
+        const store = sqliteStore.create({ name: 'never' })
+        await store.set('foo', 1, {ttl: 0})
+        await store.set('bar', 1, 0)
+        await store.incr('counter', {ttl: 0})
+
+        clock.tick(365 * 24 * 60 * 60 * 1000)
+        assert.deepEqual(await store.mget('foo', 'bar', 'counter'), [1, 1, 1])
+        assert.strictEqual(await store.ttl('foo'), Infinity)
+
+        const entry = await store.getWithMetadata('foo')
+        assert.strictEqual(entry.expiresAt, Infinity)
+        assert.strictEqual(entry.staleUntil, Infinity)
+    })
+
+    it('uses store ttl of 0 as default', async () => {
+        const store = sqliteStore.create({ name: 'never_default', options: { ttl: 0 } })
+        await store.set('foo', 1)
+        await store.set('bar', 1, {ttl: 10})
+
+        clock.tick(365 * 24 * 60 * 60 * 1000)
+        assert.deepEqual(await store.mget('foo', 'bar'), [1, undefined])
+    })
+
+    it('slides expiry of entries on reads', async () => {
+        const store = sqliteStore.create({ name: 'sliding' })
+        await store.set('session', 1, {ttl: 10, sliding: true})
+        await store.set('plain', 1, {ttl: 10})
+
+        for (let i = 0; i < 3; i++) {
+            clock.tick(6000)
+            assert.strictEqual(await store.get('session'), 1)
+        }
+
+        assert.strictEqual(await store.get('plain'), undefined)
+        assert.strictEqual(await store.ttl('session'), 10000)
+        clock.tick(10001)
+        assert.strictEqual(await store.get('session'), undefined)
+    })
+
+    it('slides entries by default when store is sliding', async () => {
+        const store = sqliteStore.create({ name: 'sliding_store', options: { sliding: true, memory: { staleness: 60 * 60 * 1000 } } })
+        await store.set('session', 1, {ttl: 10, staleTtl: 5})
+        await store.set('fixed', 1, {ttl: 10, sliding: false})
+
+        clock.tick(9000)
+        await store.mget('session', 'fixed')
+        clock.tick(9000)
+        assert.deepEqual(await store.mget('session', 'fixed'), [1, undefined])
+
+        const entry = await store.getWithMetadata('session')
+        assert.strictEqual(entry.staleUntil - entry.expiresAt, 5000)
+    })
+
+    it('touches entries with their own or given ttl', async () => {
+        const store = sqliteStore.create({ name: 'touch' })
+        await store.set('foo', 1, {ttl: 10})
+
+        clock.tick(8000)
+        assert.strictEqual(await store.touch('foo'), true)
+        assert.strictEqual(await store.ttl('foo'), 10000)
+        assert.strictEqual(await store.touch('foo', 60), true)
+        assert.strictEqual(await store.ttl('foo'), 60000)
+
+        clock.tick(60001)
+        assert.strictEqual(await store.touch('foo'), false)
+        assert.strictEqual(await store.touch('missing'), false)
+    })
+
+    it('expires and persists entries', async () => {
+        const store = sqliteStore.create({ name: 'expire' })
+        await store.set('foo', 1, {ttl: 10})
+
+        assert.strictEqual(await store.expire('foo', 100), true)
+        assert.strictEqual(await store.ttl('foo'), 100000)
+        clock.tick(50000)
+        assert.strictEqual(await store.touch('foo'), true)
+        assert.strictEqual(await store.ttl('foo'), 100000)
+
+        assert.strictEqual(await store.persist('foo'), true)
+        clock.tick(365 * 24 * 60 * 60 * 1000)
+        assert.strictEqual(await store.get('foo'), 1)
+        assert.strictEqual(await store.expire('foo', 1), true)
+        clock.tick(1001)
+        assert.strictEqual(await store.get('foo'), undefined)
+        assert.strictEqual(await store.persist('foo'), false)
+    })
+
+    it('supports callbacks', (done) => {
+        const store = sqliteStore.create({ name: 'touch_callback' })
+        store.set('foo', 1, () => store.touch('foo', (err, touched) => {
+            assert.strictEqual(touched, true)
+            done(err)
+        }))
+    })
+})
@@ -0,0 +1,275 @@
+const assert = require('assert')
+const http = require('http')
+const zlib = require('zlib')
+
+const sqliteStore = require('../index')
+const { cacheMiddleware, cachedFetch, parseCacheControl } = require('../http')
+const { sleep } = require('./support/sleep')
+
+/**
+ * Starts server on ephemeral port answering with `handler(req, res)`, requests reaching it are counted in `hits`
+ */
+async function listen(handler, middleware) {
+    const origin = {hits: 0, requests: []}
+    const serve = (req, res) => {
+        origin.hits++
+        origin.requests.push(req.headers)
+        handler(req, res)
+    }
+
+    const server = http.createServer(middleware ? (req, res) => middleware(req, res, () => serve(req, res)) : serve)
+    await new Promise(ok => server.listen(0, '127.0.0.1', ok))
+    origin.url = 'http://127.0.0.1:' + server.address().port
+    origin.close = () => new Promise(ok => server.close(ok))
+    return origin
+}
+
+/**
+ * Plain `http` client, unlike fetch it sends conditional requests without adding Cache-Control to them
+ */
+function request(url, options = {}) {
+    return new Promise((ok, fail) => http.request(url, options, res => {
+        const chunks = []
+        res.on('data', c => chunks.push(c))
+        res.on('end', () => ok({status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString()}))
+    }).on('error', fail).end())
+}
+
+describe('http cacheMiddleware', () => {
+    let origin = null
+
+    afterEach(() => origin && origin.close())
+
+    it('serves fresh responses from store', async () => {
+        const store = sqliteStore.create({ name: 'http_fresh' })
+        let n = 0
+        origin = await listen((req, res) => {
+            res.setHeader('cache-control', req.url === '/nostore' ? 'no-store' : 'max-age=60')
+            res.setHeader('content-type', 'text/plain')
+            res.setHeader('set-cookie', 'session=1')
+            res.end('body ' + (++n))
+        }, cacheMiddleware(store))
+
+        const first = await request(origin.url + '/a')
+        const second = await request(origin.url + '/a')
+        assert.deepEqual([first.status, first.body], [200, 'body 1'])
+        assert.deepEqual([second.status, second.body, second.headers['x-cache']], [200, 'body 1', 'HIT'])
+        assert.strictEqual(second.headers['content-type'], 'text/plain')
+        assert.strictEqual(second.headers['set-cookie'], undefined)
+        assert.strictEqual(second.headers['age'], '0')
+
+        assert.strictEqual((await request(origin.url + '/nostore')).body, 'body 2')
+        assert.strictEqual((await request(origin.url + '/nostore')).body, 'body 3')
+        assert.strictEqual((await request(origin.url + '/a', {method: 'POST'})).body, 'body 4')
+        assert.strictEqual((await request(origin.url + '/a', {headers: {'cache-control': 'no-store'}})).body, 'body 5')
+        assert.strictEqual((await request(origin.url + '/a', {method: 'HEAD'})).headers['x-cache'], 'HIT')
+        assert.strictEqual(origin.hits, 5)
+    })
+
+    it('stores headers passed to writeHead', async () => {
+        const store = sqliteStore.create({ name: 'http_write_head' })
+        let n = 0
+        origin = await listen((req, res) => {
+            n++
+            if (req.url === '/raw') {
+                res.writeHead(200, 'OK', ['Cache-Control', 'max-age=60', 'X-Tag', 'a', 'X-Tag', 'b'])
+                return res.end('raw ' + n)
+            }
+
+            res.writeHead(200, {'Cache-Control': 'max-age=60', 'Content-Type': 'text/plain'})
+            res.end('body ' + n)
+        }, cacheMiddleware(store))
+
+        await request(origin.url + '/a')
+        const hit = await request(origin.url + '/a')
+        assert.deepEqual([hit.body, hit.headers['x-cache'], hit.headers['content-type']], ['body 1', 'HIT', 'text/plain'])
+
+        await request(origin.url + '/raw')
+        const raw = await request(origin.url + '/raw')
+        assert.deepEqual([raw.body, raw.headers['x-cache'], raw.headers['x-tag']], ['raw 2', 'HIT', 'a, b'])
+        assert.strictEqual(origin.hits, 2)
+    })
+
+    it('keeps responses apart by headers they vary on', async () => {
+        const store = sqliteStore.create({ name: 'http_vary' })
+        origin = await listen((req, res) => {
+            res.setHeader('cache-control', 'max-age=60')
+            res.setHeader('vary', 'Accept-Language')
+            res.end(req.headers['accept-language'] || 'none')
+        }, cacheMiddleware(store))
+
+        for (const language of ['en', 'de', 'en', 'de']) {
+            assert.strictEqual((await request(origin.url, {headers: {'accept-language': language}})).body, language)
+        }
+
+        assert.strictEqual(origin.hits, 2)
+        assert.deepEqual((await store.keys()).sort(), ['/ ["de"]', '/ ["en"]', 'vary /'])
+    })
+
+    it('revalidates stale responses with their validators', async () => {
+        const store = sqliteStore.create({ name: 'http_revalidate' })
+        origin = await listen((req, res) => {
+            res.setHeader('cache-control', 'max-age=0')
+            res.setHeader('etag', '"v1"')
+            if (req.headers['if-none-match'] === '"v1"') {
+                res.writeHead(304, {'x-origin': 'revalidated'})
+                return res.end()
+            }
+
+            res.setHeader('content-type', 'text/plain')
+            res.end('v1')
+        }, cacheMiddleware(store))
+
+        await request(origin.url)
+        await sleep(10)
+        const revalidated = await request(origin.url)
+        assert.deepEqual([revalidated.status, revalidated.body], [200, 'v1'])
+        assert.strictEqual(revalidated.headers['x-cache'], 'REVALIDATED')
+        assert.strictEqual(revalidated.headers['x-origin'], 'revalidated')
+        assert.strictEqual(revalidated.headers['content-type'], 'text/plain')
+        assert.strictEqual(origin.requests[1]['if-none-match'], '"v1"')
+
+        await sleep(10)
+        const conditional = await request(origin.url, {headers: {'if-none-match': '"v1"'}})
+        assert.deepEqual([conditional.status, conditional.body], [304, ''])
+        const changed = await request(origin.url, {headers: {'if-none-match': '"v0"'}})
+        assert.deepEqual([changed.status, changed.body], [200, 'v1'])
+        assert.strictEqual(origin.requests[3]['if-none-match'], '"v1"')
+    })
+
+    it('answers conditional requests from fresh responses', async () => {
+        const store = sqliteStore.create({ name: 'http_conditional' })
+        const lastModified = new Date(Date.now() - 60000).toUTCString()
+        origin = await listen((req, res) => {
+            res.setHeader('cache-control', 'public, max-age=60')
+            res.setHeader('last-modified', lastModified)
+            res.end('page')
+        }, cacheMiddleware(store))
+
+        await request(origin.url)
+        const matched = await request(origin.url, {headers: {'if-modified-since': new Date().toUTCString()}})
+        const outdated = await request(origin.url, {headers: {'if-modified-since': new Date(0).toUTCString()}})
+        assert.deepEqual([matched.status, outdated.status, outdated.body], [304, 200, 'page'])
+        assert.strictEqual(origin.hits, 1)
+    })
+
+    it('skips private, uncacheable and oversized responses', async () => {
+        const store = sqliteStore.create({ name: 'http_uncacheable' })
+        const responses = {
+            '/private': [200, 'private, max-age=60'],
+            '/error': [500, 'max-age=60'],
+            '/plain': [200, undefined],
+            '/large': [200, 'max-age=60']
+        }
+        origin = await listen((req, res) => {
+            const [status, cacheControl] = responses[req.url]
+            res.statusCode = status
+            if (cacheControl) {
+                res.setHeader('cache-control', cacheControl)
+            }
+
+            res.end(req.url === '/large' ? 'x'.repeat(100) : 'ok')
+        }, cacheMiddleware(store, { maxBodySize: 50 }))
+
+        for (const path of Object.keys(responses)) {
+            await request(origin.url + path)
+        }
+
+        assert.deepEqual(await store.keys(), [])
+    })
+})
+
+describe('http cachedFetch', () => {
+    let origin = null
+
+    afterEach(() => origin && origin.close())
+
+    it('caches responses and revalidates them with Last-Modified', async () => {
+        const store = sqliteStore.create({ name: 'http_fetch' })
+        const lastModified = new Date(Date.now() - 60000).toUTCString()
+        origin = await listen((req, res) => {
+            if (req.url === '/stale') {
+                res.setHeader('last-modified', lastModified)
+                res.statusCode = req.headers['if-modified-since'] === lastModified ? 304 : 200
+                return res.end(res.statusCode === 200 ? 'stale' : undefined)
+            }
+
+            res.setHeader('cache-control', 'private, max-age=60')
+            res.end(JSON.stringify({url: req.url}))
+        })
+
+        const cached = cachedFetch(store)
+        const first = await cached(origin.url + '/fresh')
+        const second = await cached(new Request(origin.url + '/fresh'))
+        assert.deepEqual(await first.json(), {url: '/fresh'})
+        assert.deepEqual(await second.json(), {url: '/fresh'})
+        assert.strictEqual(second.headers.get('x-cache'), 'HIT')
+
+        assert.strictEqual(await (await cached(origin.url + '/stale')).text(), 'stale')
+        const revalidated = await cached(origin.url + '/stale')
+        assert.deepEqual([revalidated.status, await revalidated.text()], [200, 'stale'])
+        assert.strictEqual(revalidated.headers.get('x-cache'), 'REVALIDATED')
+        assert.strictEqual(origin.hits, 3)
+
+        await cached(origin.url + '/fresh', {cache: 'no-store'})
+        await cached(origin.url + '/fresh', {headers: {'cache-control': 'no-cache'}})
+        assert.strictEqual(origin.hits, 5)
+    })
+
+    it('uses given fetch and reports store failures', async () => {
+        const store = sqliteStore.create({ name: 'http_fetch_errors' })
+        const errors = []
+        let calls = 0
+        const fetch = async () => {
+            calls++
+            return new Response('ok', {headers: {'cache-control': 'max-age=60'}})
+        }
+
+        const cached = cachedFetch(store, { fetch, onError: err => errors.push(err) })
+        await store.close()
+        assert.strictEqual(await (await cached('http://example.com/')).text(), 'ok')
+        assert.strictEqual(calls, 1)
+        assert.deepEqual(errors.map(e => e.name), ['StoreClosedError', 'StoreClosedError'])
+    })
+
+    it('does not need fetch globals when given fetch and Response', async () => {
+        const store = sqliteStore.create({ name: 'http_fetch_globals' })
+        const { Request, Headers, Response } = globalThis
+        const fetch = async (input, init) => new Response(input + ' ' + init.headers.accept, {headers: {'cache-control': 'max-age=60'}})
+        Object.assign(globalThis, { Request: undefined, Headers: undefined, Response: undefined })
+        try {
+            const cached = cachedFetch(store, { fetch, Response })
+            await cached('http://example.com/a', {headers: {Accept: 'text/plain'}})
+            const hit = await cached(new URL('http://example.com/a'))
+            assert(hit instanceof Response)
+            assert.deepEqual([await hit.text(), hit.headers.get('x-cache')], ['http://example.com/a text/plain', 'HIT'])
+            assert.throws(() => cachedFetch(store, { fetch }), /fetch is not available, pass fetch and Response as options/)
+        } finally {
+            Object.assign(globalThis, { Request, Headers, Response })
+        }
+    })
+
+    it('drops encoding headers of decoded bodies', async () => {
+        const store = sqliteStore.create({ name: 'http_fetch_encoding' })
+        origin = await listen((req, res) => {
+            res.setHeader('cache-control', 'max-age=60')
+            res.setHeader('content-encoding', 'gzip')
+            res.end(zlib.gzipSync('compressed'))
+        })
+
+        const cached = cachedFetch(store)
+        for (const state of [null, 'HIT']) {
+            const res = await cached(origin.url)
+            assert.deepEqual([res.headers.get('content-encoding'), res.headers.get('content-length')], [null, null])
+            assert.deepEqual([await res.text(), res.headers.get('x-cache')], ['compressed', state])
+        }
+    })
+})
+
+describe('http parseCacheControl', () => {
+    it('parses directives with and without values', () => {
+        assert.deepEqual(parseCacheControl('Max-Age=60, no-cache="set-cookie", private'),
+            {'max-age': '60', 'no-cache': 'set-cookie', private: true})
+        assert.deepEqual(parseCacheControl(undefined), {})
+    })
+})
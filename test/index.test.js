@@ -1,5 +1,4 @@
 const sqliteStore = require('../index')
-const sqlite3 = require('sqlite3')
 
 describe('sqliteStore.create', () => {
     it('should create table of passed name for given db', (done) => {
@@ -32,7 +31,7 @@ describe('sqliteStore.create', () => {
         sqliteStore.create({
             name: 'fo2',
             path: '/tmp/test.db',
-            flags: sqlite3.OPEN_READONLY,
+            flags: sqliteStore.OPEN_READONLY,
             options: { onReady: done }
         })
     })
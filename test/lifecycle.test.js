@@ -0,0 +1,99 @@
+const assert = require('assert')
+const fs = require('fs')
+
+const sqliteStore = require('../index')
+
+const path = '/tmp/test-lifecycle.db'
+
+describe('sqliteStore ready', () => {
+    it('resolves once key-value space is ready', async () => {
+        const store = sqliteStore.create({ name: 'ready', path })
+        await store.ready()
+        await store.close()
+    })
+
+    it('supports callbacks', (done) => {
+        const store = sqliteStore.create({ name: 'ready' })
+        store.ready(done)
+    })
+
+    it('rejects when table can not be created', async () => {
+        const store = sqliteStore.create({ name: 'bad name', path })
+        await assert.rejects(store.ready())
+        await store.close()
+    })
+
+    it('rejects when database can not be opened', async () => {
+        let openError = null
+        const store = sqliteStore.create({
+            path: '/tmp/does-not-exist/cache.db',
+            options: { onOpen: err => openError = err }
+        })
+
+        await assert.rejects(store.ready(), /SQLITE_CANTOPEN/)
+        assert.match(openError.message, /SQLITE_CANTOPEN/)
+        await assert.rejects(store.get('foo'), /SQLITE_CANTOPEN/)
+        await store.close()
+    })
+})
+
+describe('sqliteStore close', () => {
+    it('fails operations after close with StoreClosedError', async () => {
+        const store = sqliteStore.create({ name: 'closed', path })
+        await store.close()
+
+        await assert.rejects(store.get('foo'), sqliteStore.StoreClosedError)
+        await assert.rejects(store.set('foo', 1), /Store closed is closed/)
+        await assert.rejects(store.keys(), sqliteStore.StoreClosedError)
+    })
+
+    it('is idempotent', async () => {
+        const store = sqliteStore.create({ name: 'closed', path })
+        await store.close()
+        await store.close()
+    })
+
+    it('flushes pending writes before closing', async () => {
+        const store = sqliteStore.create({ name: 'flushed', path })
+        store.set('foo', 'bar')
+        await store.close()
+
+        const reopened = sqliteStore.create({ name: 'flushed', path })
+        assert.strictEqual(await reopened.get('foo'), 'bar')
+        await reopened.close()
+    })
+
+    it('releases shared handle only when last store closes', async () => {
+        const first = sqliteStore.create({ name: 'shared1', path })
+        const second = sqliteStore.create({ name: 'shared2', path })
+        assert.strictEqual(first.db, second.db)
+        await Promise.all([first.ready(), second.ready()])
+
+        await first.close()
+        assert.strictEqual(second.db.open, true)
+        await second.set('foo', 1)
+        assert.strictEqual(await second.get('foo'), 1)
+
+        await second.close()
+        assert.strictEqual(second.db.open, false)
+        assert(!fs.existsSync(path + '-wal'))
+    })
+
+    it('opens new handle after previous one was closed', async () => {
+        const first = sqliteStore.create({ name: 'reopen', path })
+        await first.close()
+
+        const second = sqliteStore.create({ name: 'reopen', path })
+        assert.notStrictEqual(first.db, second.db)
+        await second.set('foo', 1)
+        await second.close()
+    })
+
+    it('closes in memory databases', (done) => {
+        const store = sqliteStore.create({ name: 'closed' })
+        store.close((err) => {
+            assert.strictEqual(store.db.open, false)
+            done(err)
+        })
+    })
+})
@@ -0,0 +1,139 @@
+const assert = require('assert')
+const sinon = require('sinon')
+const { Database } = require('./support/driver')
+
+const sqliteStore = require('../index')
+const { sleep } = require('./support/sleep')
+
+const path = '/tmp/test-memory.db'
+
+function memoryStore(name, memory) {
+    return sqliteStore.create({ name, path, options: { memory } })
+}
+
+describe('sqliteStore memory', () => {
+    it('serves repeated reads from memory', async () => {
+        const store = memoryStore('mem_hits', true)
+        await store.set('foo', {bar: 1})
+        assert.deepEqual(await store.get('foo'), {bar: 1})
+
+        const all = sinon.spy(Database.prototype, 'all')
+        try {
+            const first = await store.get('foo')
+            const second = await store.get('foo')
+            assert.deepEqual(first, {bar: 1})
+            assert.notStrictEqual(first, second)
+            assert(all.notCalled)
+        } finally {
+            all.restore()
+        }
+
+        assert.strictEqual((await store.stats()).memoryHits, 2)
+        await store.close()
+    })
+
+    it('mixes memory and database rows in mget', async () => {
+        const store = memoryStore('mem_mget', true)
+        await store.mset('a', 1, 'b', 2, 'c', 3)
+        await store.get('b')
+
+        assert.deepEqual(await store.mget('a', 'b', 'missing', 'c', {}), [1, 2, undefined, 3])
+        assert.strictEqual((await store.stats()).memoryHits, 1)
+        await store.close()
+    })
+
+    it('is invalidated by set, del and reset', async () => {
+        const store = memoryStore('mem_invalidate', true)
+        await store.set('foo', 1)
+        await store.get('foo')
+
+        await store.set('foo', 2)
+        assert.strictEqual(await store.get('foo'), 2)
+        await store.del('foo')
+        assert.strictEqual(await store.get('foo'), undefined)
+
+        await store.mset('a', 1, 'b', 2)
+        await store.mget('a', 'b')
+        await store.reset()
+        assert.deepEqual(await store.mget('a', 'b'), [undefined, undefined])
+        await store.close()
+    })
+
+    it('drops entries changed by other stores within staleness bound', async () => {
+        const writer = memoryStore('mem_shared')
+        const reader = memoryStore('mem_shared', { staleness: 100 })
+        await writer.set('foo', 1)
+        assert.strictEqual(await reader.get('foo'), 1)
+
+        await writer.set('foo', 2)
+        await writer.set('bar', 1, {ttl: -1})
+        await sleep(150)
+        assert.strictEqual(await reader.get('foo'), 2)
+
+        await writer.del('foo')
+        await sleep(150)
+        assert.strictEqual(await reader.get('foo'), undefined)
+        await Promise.all([writer.close(), reader.close()])
+    })
+
+    it('is cleared when change log was trimmed past last sync', async () => {
+        const store = memoryStore('mem_trimmed', { staleness: 100 })
+        await store.set('foo', 1)
+        await sleep(100)
+        await store.get('foo')
+
+        // Another process overwrote foo, and its change was trimmed away by later ones
+        await new Promise(ok => store.db.exec(`
+            UPDATE mem_trimmed SET val = NULL WHERE key = 'foo';
+            INSERT INTO mem_trimmed_changes(seq, key) SELECT MAX(seq) + 1000, 'other' FROM mem_trimmed_changes;
+            DELETE FROM mem_trimmed_changes WHERE seq < (SELECT MAX(seq) FROM mem_trimmed_changes);
+        `, ok))
+        await sleep(150)
+        assert.strictEqual(await store.get('foo'), undefined)
+        await store.close()
+    })
+
+    it('respects expiry of entries', async () => {
+        const clock = sinon.useFakeTimers({ now: new Date().getTime(), toFake: ['Date'] })
+        try {
+            const store = memoryStore('mem_expiry', { staleness: 60 * 60 * 1000 })
+            await store.set('foo', 1, {ttl: 1})
+            assert.strictEqual(await store.get('foo'), 1)
+
+            clock.tick(2000)
+            assert.strictEqual(await store.get('foo'), undefined)
+            await store.close()
+        } finally {
+            clock.restore()
+        }
+    })
+
+    it('is bypassed when change log was not synced within staleness bound', async () => {
+        const clock = sinon.useFakeTimers({ now: new Date().getTime(), toFake: ['Date', 'setInterval', 'clearInterval'] })
+        try {
+            const store = memoryStore('mem_bypass', { staleness: 1000 })
+            await store.set('foo', 1)
+            await store.get('foo')
+            await store.get('foo')
+
+            clock.tick(1001)
+            await store.get('foo')
+            assert.strictEqual((await store.stats()).memoryHits, 1)
+            await store.close()
+        } finally {
+            clock.restore()
+        }
+    })
+
+    it('evicts least recently used entries beyond max', async () => {
+        const store = memoryStore('mem_max', { max: 2 })
+        await store.mset('a', 1, 'b', 2, 'c', 3)
+        await store.mget('a', 'b')
+        await store.get('a')
+        await store.get('c')
+
+        await store.mget('a', 'b', 'c')
+        assert.strictEqual((await store.stats()).memoryHits, 3)
+        await store.close()
+    })
+})
@@ -0,0 +1,79 @@
+const assert = require('assert')
+const { PassThrough } = require('stream')
+
+const sqliteStore = require('../index')
+
+describe('sqliteStore entry metadata', () => {
+    it('yields creation time, expiry, size, hits and version of entries', async () => {
+        const store = sqliteStore.create({ name: 'meta_entries', options: { serializer: 'json', trackHits: true } })
+        const before = Date.now()
+        await store.set('a', 'x'.repeat(100), {ttl: 60})
+        await store.get('a')
+        await store.get('a')
+
+        const entry = await store.getWithMetadata('a')
+        assert.strictEqual(entry.value, 'x'.repeat(100))
+        assert(entry.createdAt >= before && entry.createdAt <= Date.now())
+        assert.strictEqual(entry.expiresAt, entry.createdAt + 60000)
+        assert.strictEqual(entry.size, 102)
+        assert.strictEqual(entry.hits, 2)
+        assert.strictEqual(entry.metadata, undefined)
+
+        await store.set('a', 'y')
+        const overwritten = await store.getWithMetadata('a')
+        assert.strictEqual(overwritten.version, entry.version + 1)
+        assert.strictEqual(overwritten.hits, 0)
+    })
+
+    it('keeps user metadata attached on set until entry is overwritten', async () => {
+        const store = sqliteStore.create({ name: 'meta_user' })
+        const metadata = {etag: '"abc"', lastModified: 'Wed, 21 Oct 2015 07:28:00 GMT'}
+        await store.set('page', '<html>', {ttl: 60, metadata})
+        await store.mset('p1', 1, 'p2', 2, {metadata: {etag: '"p"'}})
+        await store.setIfNotExists('p3', 3, {metadata: {etag: '"p3"'}})
+
+        assert.deepEqual((await store.getWithMetadata('page')).metadata, metadata)
+        assert.deepEqual((await store.getWithMetadata('p2')).metadata, {etag: '"p"'})
+        assert.deepEqual((await store.getWithMetadata('p3')).metadata, {etag: '"p3"'})
+
+        await store.expire('page', 120)
+        assert.deepEqual((await store.getWithMetadata('page')).metadata, metadata)
+
+        await store.set('page', '<html/>')
+        assert.strictEqual((await store.getWithMetadata('page')).metadata, undefined)
+    })
+
+    it('yields metadata of many keys at once', async () => {
+        const store = sqliteStore.create({ name: 'meta_many' })
+        await store.mset('a', 1, 'b', 2, {metadata: {source: 'test'}})
+
+        const entries = await store.mgetWithMetadata('a', 'missing', 'b')
+        assert.deepEqual(entries.map(e => e && [e.value, e.metadata.source]), [[1, 'test'], undefined, [2, 'test']])
+    })
+
+    it('carries metadata through export and import', async () => {
+        const source = sqliteStore.create({ name: 'meta_export' })
+        await source.set('a', 1, {metadata: {etag: '"a"'}})
+        const stream = new PassThrough()
+        await source.export(stream)
+
+        const target = sqliteStore.create({ name: 'meta_import' })
+        await target.import(stream)
+        assert.deepEqual((await target.getWithMetadata('a')).metadata, {etag: '"a"'})
+    })
+
+    it('rejects metadata that is not JSON encodable', async () => {
+        const store = sqliteStore.create({ name: 'meta_invalid' })
+        await assert.rejects(store.set('a', 1, {metadata: {big: 1n}}), /BigInt/)
+    })
+
+    it('supports callbacks', (done) => {
+        const store = sqliteStore.create({ name: 'meta_cb' })
+        store.set('a', 1, () => {
+            store.mgetWithMetadata('a', (err, entries) => {
+                assert.strictEqual(entries[0].value, 1)
+                done(err)
+            })
+        })
+    })
+})
@@ -0,0 +1,150 @@
+const assert = require('assert')
+const { execFile } = require('child_process')
+const fs = require('fs')
+
+const sqliteStore = require('../index')
+const { OPEN_CREATE, OPEN_READWRITE, resolveDriver } = require('../drivers')
+const { driver } = require('./support/driver')
+
+const path = '/tmp/test-migrations.db'
+
+function removeDatabase() {
+    for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(path + suffix, { force: true })
+    }
+}
+
+/**
+ * Runs `sql` against database file on a connection of its own, yielding rows of last statement
+ */
+function query(sql, params = []) {
+    return new Promise((ok, fail) => {
+        const db = resolveDriver(driver).open(path, OPEN_CREATE | OPEN_READWRITE, err => {
+            if (err) {
+                return fail(err)
+            }
+
+            const statements = sql.split(';').map(s => s.trim()).filter(s => s)
+            const last = statements.pop()
+            db.serialize(() => {
+                statements.forEach(s => db.run(s))
+                db.all(last, params, (err, rows) => db.close(() => err ? fail(err) : ok(rows)))
+            })
+        })
+    })
+}
+
+async function columns(table) {
+    return (await query(`SELECT name FROM pragma_table_info('${table}')`)).map(r => r.name)
+}
+
+async function schemaVersion(name) {
+    const rows = await query('SELECT version FROM cache_schema WHERE name = ?', [name])
+    return rows.length ? rows[0].version : undefined
+}
+
+describe('sqliteStore migrations', () => {
+    beforeEach(removeDatabase)
+    after(removeDatabase)
+
+    it('records schema version of new key-value spaces', async () => {
+        const store = sqliteStore.create({ name: 'fresh', path })
+        await store.ready()
+        await store.close()
+
+        assert.strictEqual(await schemaVersion('fresh'), sqliteStore.SchemaVersion)
+        assert.deepEqual(await columns('fresh'), [
+            'key', 'val', 'created_at', 'expire_at', 'accessed_at', 'hits', 'fresh_until', 'codec', 'key_id',
+            'version', 'ttl', 'sliding', 'serializer', 'meta'
+        ])
+    })
+
+    it('upgrades key-value spaces created before versions were tracked', async () => {
+        await query(`
+            CREATE TABLE legacy (key TEXT PRIMARY KEY, val BLOB, created_at INTEGER, expire_at INTEGER, hits INTEGER DEFAULT 0);
+            INSERT INTO legacy(key, val, created_at, expire_at) VALUES ('foo', '"bar"', 0, ${Number.MAX_SAFE_INTEGER - 1});
+            SELECT 1
+        `)
+
+        const store = sqliteStore.create({ name: 'legacy', path, options: { serializer: 'json' } })
+        assert.strictEqual(await store.get('foo'), 'bar')
+        await store.set('baz', 1, {tags: ['t']})
+        assert.strictEqual(await store.incr('n'), 1)
+        await store.close()
+
+        assert.strictEqual(await schemaVersion('legacy'), sqliteStore.SchemaVersion)
+        assert((await columns('legacy')).includes('sliding'))
+    })
+
+    it('applies only migrations past recorded version', async () => {
+        const store = sqliteStore.create({ name: 'partial', path })
+        await store.ready()
+        await store.close()
+
+        // Back to version 8, which had no per entry TTL
+        await query(`
+            ALTER TABLE partial DROP COLUMN ttl;
+            ALTER TABLE partial DROP COLUMN sliding;
+            UPDATE cache_schema SET version = 8 WHERE name = 'partial';
+            SELECT 1
+        `)
+
+        const reopened = sqliteStore.create({ name: 'partial', path })
+        await reopened.set('foo', 1, {ttl: 0, sliding: true})
+        assert.strictEqual(await reopened.ttl('foo'), Infinity)
+        await reopened.close()
+        assert.strictEqual(await schemaVersion('partial'), sqliteStore.SchemaVersion)
+    })
+
+    it('leaves key-value spaces of newer versions alone', async () => {
+        const store = sqliteStore.create({ name: 'newer', path })
+        await store.ready()
+        await store.close()
+        await query(`UPDATE cache_schema SET version = ${sqliteStore.SchemaVersion + 1} WHERE name = 'newer'; SELECT 1`)
+
+        const reopened = sqliteStore.create({ name: 'newer', path })
+        await reopened.set('foo', 1)
+        assert.strictEqual(await reopened.get('foo'), 1)
+        await reopened.close()
+        assert.strictEqual(await schemaVersion('newer'), sqliteStore.SchemaVersion + 1)
+    })
+
+    it('upgrades once when many stores open same file at once', async () => {
+        const stores = []
+        for (let i = 0; i < 5; i++) {
+            stores.push(sqliteStore.create({ name: 'shared', path }), sqliteStore.create({ name: 'other' + (i % 2), path }))
+        }
+
+        await Promise.all(stores.map(s => s.ready()))
+        await stores[0].set('foo', 1)
+        assert.strictEqual(await stores[2].get('foo'), 1)
+        await Promise.all(stores.map(s => s.close()))
+
+        const rows = await query('SELECT name, version FROM cache_schema ORDER BY name')
+        assert.deepEqual(rows.map(r => [r.name, r.version]), [
+            ['other0', sqliteStore.SchemaVersion],
+            ['other1', sqliteStore.SchemaVersion],
+            ['shared', sqliteStore.SchemaVersion]
+        ])
+    })
+
+    it('upgrades safely when processes open same file at once', async () => {
+        const script = `
+            const store = require(${JSON.stringify(require.resolve('../index'))})
+                .create({ name: 'processes', path: ${JSON.stringify(path)}, options: { driver: ${JSON.stringify(driver)} } })
+            store.set(String(process.pid), 1).then(() => store.close())
+        `
+        const spawn = () => new Promise((ok, fail) => execFile(process.execPath, ['-e', script], err => err ? fail(err) : ok()))
+        await Promise.all([spawn(), spawn(), spawn()])
+
+        assert.strictEqual(await schemaVersion('processes'), sqliteStore.SchemaVersion)
+        assert.strictEqual((await query('SELECT key FROM processes')).length, 3)
+    }).timeout(10000)
+
+    it('waits for migrations before running operations', async () => {
+        const store = sqliteStore.create({ name: 'early', path })
+        const results = await Promise.all([store.set('foo', 1), store.get('foo'), store.incr('n')])
+        assert.deepEqual(results, [true, 1, 1])
+        await store.close()
+    })
+})
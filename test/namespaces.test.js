@@ -0,0 +1,127 @@
+const assert = require('assert')
+const fs = require('fs')
+const sinon = require('sinon')
+
+const sqliteStore = require('../index')
+
+const path = '/tmp/test-namespaces.db'
+
+describe('sqliteStore namespaces', () => {
+    let db = null
+
+    beforeEach(() => {
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(path + suffix, { force: true })
+        }
+
+        db = sqliteStore.open({ path, options: { ttl: 60 }, namespaces: { sessions: { ttl: 5, maxEntries: 2 } } })
+    })
+
+    afterEach(() => db.close())
+
+    it('hands out stores of namespaces sharing one handle', async () => {
+        const users = db.namespace('users')
+        const posts = db.namespace('posts')
+        assert.strictEqual(db.namespace('users'), users)
+        assert.strictEqual(users.db, db.db)
+        assert.strictEqual(posts.db, db.db)
+
+        await users.set('1', 'Ann')
+        await posts.set('1', 'Hello')
+        assert.deepEqual(await Promise.all([users.get('1'), posts.get('1')]), ['Ann', 'Hello'])
+        assert.deepEqual(await db.namespaces(), ['posts', 'users'])
+    })
+
+    it('applies defaults of database and namespace', async () => {
+        const users = db.namespace('users')
+        const sessions = db.namespace('sessions')
+        const short = db.namespace('short', { ttl: 1 })
+
+        await users.set('a', 1)
+        await sessions.mset('a', 1, 'b', 2, 'c', 3)
+        await short.set('a', 1)
+        assert(await users.ttl('a') > 59 * 1000)
+        assert(await sessions.ttl('c') <= 5 * 1000)
+        assert.strictEqual((await sessions.keys()).length, 2)
+        assert(await short.ttl('a') <= 1000)
+        assert.throws(() => db.namespace('users', { ttl: 1 }), /Namespace users is already open/)
+    })
+
+    it('rejects names that are not plain identifiers', async () => {
+        for (const name of ['users; DROP TABLE kv', 'a"b', '1st', 'sqlite_master', 'cache_schema', 'users_tags']) {
+            assert.throws(() => db.namespace(name), /Invalid namespace|is reserved/)
+        }
+
+        await assert.rejects(db.drop('a"b'), /Invalid namespace/)
+    })
+
+    it('drops namespaces along with their tables', async () => {
+        const users = db.namespace('users')
+        await users.set('a', 1, { tags: ['t'] })
+        await db.namespace('posts').set('a', 2)
+
+        assert.strictEqual(await db.drop('users'), true)
+        assert.strictEqual(await db.drop('users'), false)
+        assert.deepEqual(await db.namespaces(), ['posts'])
+        await assert.rejects(users.get('a'), { name: 'StoreClosedError' })
+
+        const tables = await new Promise((ok, fail) => db.db.all("SELECT name FROM sqlite_master WHERE name LIKE 'users%'", {},
+            (err, rows) => err ? fail(err) : ok(rows)))
+        assert.deepEqual(tables, [])
+
+        // Namespace opened again starts from scratch
+        assert.strictEqual(await db.namespace('users').get('a'), undefined)
+        assert.strictEqual(await db.namespace('posts').get('a'), 2)
+    })
+
+    it('leaves namespace intact when dropping it fails', async () => {
+        await db.namespace('users').set('a', 1, { tags: ['t'] })
+        const run = db.db.run
+        const stub = sinon.stub(db.db, 'run').callsFake(function (sql, params, cb) {
+            if (sql === 'DROP TABLE IF EXISTS "users_tags"') {
+                return setImmediate(() => cb(new Error('SQLITE_IOERR: disk I/O error')))
+            }
+
+            return run.apply(this, arguments)
+        })
+
+        try {
+            await assert.rejects(db.drop('users'), /disk I\/O error/)
+        } finally {
+            stub.restore()
+        }
+
+        assert.deepEqual(await db.namespaces(), ['users'])
+        const users = db.namespace('users')
+        assert.strictEqual(await users.get('a'), 1)
+        assert.strictEqual(await users.invalidateTags(['t']), 1)
+    })
+
+    it('closes stores of namespaces on close', async () => {
+        const users = db.namespace('users')
+        await users.set('a', 1)
+        await db.close()
+
+        await assert.rejects(users.get('a'), { name: 'StoreClosedError' })
+        assert.throws(() => db.namespace('users'), { name: 'StoreClosedError' })
+        await assert.rejects(db.namespaces(), { name: 'StoreClosedError' })
+
+        const reopened = sqliteStore.create({ name: 'users', path })
+        assert.strictEqual(await reopened.get('a'), 1)
+        await reopened.close()
+    })
+
+    it('requires database file', () => {
+        assert.throws(() => sqliteStore.open({}), /Namespaces need a database file/)
+    })
+
+    it('supports callbacks', (done) => {
+        db.ready(err => {
+            assert.ifError(err)
+            db.namespaces((err, names) => {
+                assert.deepEqual(names, [])
+                done(err)
+            })
+        })
+    })
+})
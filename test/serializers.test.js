@@ -1,7 +1,21 @@
 const assert = require('assert')
 const cacheManager = require('cache-manager')
+const fs = require('fs')
 const sqliteStore = require('../index')
 
+class Money {
+    constructor(amount, currency) {
+        this.amount = amount
+        this.currency = currency
+    }
+
+    toString() {
+        return this.amount + ' ' + this.currency
+    }
+}
+
+sqliteStore.registerType('Money', Money)
+
 describe('cacheManager serializers', () => {
     it('supports CBOR', async () => {
         const cache = cacheManager.caching({
@@ -60,4 +74,186 @@ describe('cacheManager custom serializers', () => {
         await cache.set("foo", {foo: "bar", arr: [1, true, null]})
         assert.deepEqual(await cache.get("foo"), null)
     })
-})
\ No newline at end of file
+})
+
+describe('sqliteStore typed JSON', () => {
+    it('round trips values JSON loses', async () => {
+        const store = sqliteStore.create({ name: 'typed_json', options: { serializer: 'typed-json' } })
+        const value = {
+            date: new Date(1000), map: new Map([['a', new Set([1, 2])]]), buf: Buffer.from('abc'), big: 2n ** 70n,
+            missing: undefined, numbers: [NaN, -0, Infinity], marked: {$type: 'Date', value: 'not a date'}
+        }
+
+        await store.set('foo', value)
+        assert.deepStrictEqual(await store.get('foo'), value)
+        assert.ok(Object.is((await store.get('foo')).numbers[1], -0))
+    })
+
+    it('revives registered classes', async () => {
+        const store = sqliteStore.create({ name: 'typed_classes', options: { serializer: 'typed-json' } })
+        await store.set('price', {total: new Money(5, 'EUR')})
+
+        const {total} = await store.get('price')
+        assert.ok(total instanceof Money)
+        assert.strictEqual(total.toString(), '5 EUR')
+    })
+
+    it('uses custom conversions of registered classes', async () => {
+        class Point {
+            constructor(x, y) {
+                this.x = x
+                this.y = y
+            }
+        }
+        sqliteStore.registerType('Point', Point, { serialize: p => [p.x, p.y], deserialize: ([x, y]) => new Point(x, y) })
+
+        const store = sqliteStore.create({ name: 'typed_custom', options: { serializer: 'typed-json' } })
+        await store.set('p', new Point(1, 2))
+        assert.deepStrictEqual(await store.get('p'), new Point(1, 2))
+    })
+
+    it('rejects invalid registrations', () => {
+        assert.throws(() => sqliteStore.registerType('Date', Date), /taken by a built-in type/)
+        assert.throws(() => sqliteStore.registerType('Thing', {}), /must be a class/)
+        assert.throws(() => sqliteStore.registerSerializer('json', JSON), /built in/)
+        assert.throws(() => sqliteStore.registerSerializer('broken', {}), /must have serialize and deserialize/)
+        assert.throws(() => sqliteStore.create({ options: { serializer: 'yaml' } }), /Unknown serializer yaml, expected one of: json, cbor, typed-json/)
+    })
+})
+
+describe('sqliteStore serializer registry', () => {
+    const path = '/tmp/test-serializers.db'
+    before(() => {
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(path + suffix, { force: true })
+        }
+    })
+
+    it('reads rows back with serializer that wrote them', async () => {
+        const json = sqliteStore.create({ name: 'switching', path, options: { serializer: 'json' } })
+        await json.set('old', {at: 1})
+        await json.close()
+
+        const typed = sqliteStore.create({ name: 'switching', path, options: { serializer: 'typed-json' } })
+        await typed.set('new', new Date(5))
+        assert.deepEqual(await typed.mget('old', 'new'), [{at: 1}, new Date(5)])
+        await typed.close()
+
+        const cbor = sqliteStore.create({ name: 'switching', path })
+        assert.deepEqual(await cbor.mget('old', 'new'), [{at: 1}, new Date(5)])
+        await cbor.close()
+    })
+
+    it('records names of registered serializers', async () => {
+        sqliteStore.registerSerializer('upper', {
+            serialize: o => JSON.stringify(o).toUpperCase(),
+            deserialize: p => JSON.parse(p.toLowerCase())
+        })
+
+        const store = sqliteStore.create({ name: 'registered', path, options: { serializer: 'upper' } })
+        await store.set('foo', 'bar')
+        await store.close()
+
+        const other = sqliteStore.create({ name: 'registered', path, options: { serializer: 'json' } })
+        assert.strictEqual(await other.get('foo'), 'bar')
+        await other.close()
+    })
+})
+
+describe('sqliteStore serialization errors', () => {
+    const circular = () => {
+        const o = {}
+        o.self = o
+        return o
+    }
+
+    function corrupt(store, name, key) {
+        return new Promise((ok, fail) => store.db.run(`UPDATE ${name} SET val = '{not json' WHERE key = $key`, {$key: key},
+            err => err ? fail(err) : ok()))
+    }
+
+    it('skips values that can not be serialized and reports them', async () => {
+        const store = sqliteStore.create({ name: 'serialize_skip', options: { serializer: 'json' } })
+        const reported = []
+        store.on('serializationError', err => reported.push(err))
+
+        await store.set('bad', 'kept', { tags: ['old'] })
+        assert.strictEqual(await store.mset('good', 1, 'bad', circular(), { tags: ['new'] }), false)
+        assert.deepEqual(await store.mget('good', 'bad'), [1, 'kept'])
+        assert.deepEqual(reported.map(e => [e.name, e.key]), [['SerializationError', 'bad']])
+        assert.match(reported[0].message, /Unable to serialize value of key bad: .*circular/)
+
+        // Entry left alone keeps its tags
+        assert.strictEqual(await store.invalidateTags(['new']), 1)
+        assert.strictEqual(await store.invalidateTags(['old']), 1)
+    })
+
+    it('fails writes with throw policy', async () => {
+        const store = sqliteStore.create({ name: 'serialize_throw', options: { serializer: 'json', onSerializationError: 'throw' } })
+        await assert.rejects(store.mset('good', 1, 'bad', circular()), { name: 'SerializationError', key: 'bad' })
+        await assert.rejects(store.setIfNotExists('bad', circular()), { name: 'SerializationError', key: 'bad' })
+        assert.strictEqual(await store.get('good'), undefined)
+
+        const behind = sqliteStore.create({ name: 'serialize_throw_wb', options: { serializer: 'json', onSerializationError: 'throw', writeBehind: true } })
+        await behind.set('x', 1)
+        await behind.flush()
+        const writes = [behind.set('good', 1), behind.del('x')]
+        await assert.rejects(behind.set('bad', circular()), { name: 'SerializationError', key: 'bad' })
+        await Promise.all(writes)
+        assert.deepEqual(await behind.mget('good', 'x', 'bad'), [1, undefined, undefined])
+    })
+
+    it('fails only writes of values that can not be serialized behind', async () => {
+        const store = sqliteStore.create({ name: 'serialize_skip_wb', options: { serializer: 'json', writeBehind: true } })
+        const skipped = store.mset('good', 1, 'bad', circular())
+        assert.strictEqual(await store.set('other', 2), true)
+        assert.strictEqual(await skipped, false)
+        assert.deepEqual(await store.mget('good', 'bad', 'other'), [1, undefined, 2])
+    })
+
+    it('stores null in place of values with null policy', async () => {
+        const store = sqliteStore.create({ name: 'serialize_null', options: { serializer: 'json', onSerializationError: 'null' } })
+        let reported = null
+        store.on('serializationError', err => reported = err)
+
+        assert.strictEqual(await store.mset('bad', circular()), true)
+        assert.strictEqual(await store.get('bad'), null)
+        assert.strictEqual(reported.key, 'bad')
+    })
+
+    it('reports corrupted entries on read', async () => {
+        const store = sqliteStore.create({ name: 'corrupted', options: { serializer: 'json' } })
+        const reported = []
+        store.on('corrupt', err => reported.push(err))
+        await store.mset('a', 1, 'b', 2)
+        await corrupt(store, 'corrupted', 'a')
+
+        assert.deepEqual(await store.mget('a', 'b'), [undefined, 2])
+        assert.deepEqual(reported.map(e => [e.name, e.key]), [['SerializationError', 'a']])
+        assert.match(reported[0].message, /Unable to deserialize value of key a/)
+        assert.deepEqual(await store.keys(), ['a', 'b'])
+    })
+
+    it('deletes corrupted entries when asked to', async () => {
+        const store = sqliteStore.create({ name: 'corrupted_delete', options: { serializer: 'json', deleteCorrupted: true } })
+        await store.set('a', 1)
+        await corrupt(store, 'corrupted_delete', 'a')
+
+        assert.strictEqual(await store.get('a'), undefined)
+        await new Promise(ok => setTimeout(ok, 50))
+        assert.deepEqual(await store.keys(), [])
+    })
+
+    it('fails reads of corrupted entries with throw policy', async () => {
+        const store = sqliteStore.create({ name: 'corrupted_throw', options: { serializer: 'json', onSerializationError: 'throw' } })
+        await store.set('a', 1)
+        await corrupt(store, 'corrupted_throw', 'a')
+
+        await assert.rejects(store.get('a'), { name: 'SerializationError', key: 'a' })
+    })
+
+    it('rejects unknown policies', () => {
+        assert.throws(() => sqliteStore.create({ options: { onSerializationError: 'ignore' } }),
+            /Unknown serialization error policy ignore, expected one of: throw, skip, null/)
+    })
+})
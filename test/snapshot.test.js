@@ -0,0 +1,190 @@
+const assert = require('assert')
+const fs = require('fs')
+const sinon = require('sinon')
+const { PassThrough, Readable } = require('stream')
+
+const sqliteStore = require('../index')
+
+const backupPath = '/tmp/test-snapshot-backup.db'
+
+/**
+ * Exports `store` into memory, yielding exported chunks joined together
+ */
+async function exported(store, options = {}) {
+    const stream = new PassThrough()
+    const chunks = []
+    stream.on('data', c => chunks.push(c))
+    const count = await store.export(stream, options)
+    return {count, data: Buffer.concat(chunks)}
+}
+
+function ndjson(...records) {
+    return Readable.from(records.map(r => JSON.stringify(r) + '\n'))
+}
+
+describe('sqliteStore export', () => {
+    it('writes live entries as NDJSON with remaining TTL', async () => {
+        const store = sqliteStore.create({ name: 'export_ndjson' })
+        await store.set('a', {foo: 1}, {ttl: 60, staleTtl: 30, tags: ['t1', 't2']})
+        await store.set('b', 'forever', {ttl: 0, sliding: true})
+        await store.incr('c', 5)
+        await store.set('expired', 1, {ttl: -1})
+
+        const {count, data} = await exported(store)
+        const records = data.toString().trim().split('\n').map(l => JSON.parse(l))
+        assert.strictEqual(count, 3)
+        assert.deepEqual(records.map(r => r.key), ['a', 'b', 'c'])
+
+        const [a, b, c] = records
+        assert.deepEqual(a.value, {foo: 1})
+        assert(a.ttl > 59 && a.ttl <= 60)
+        assert.strictEqual(a.staleTtl, 30)
+        assert.deepEqual(a.tags.sort(), ['t1', 't2'])
+        assert(a.createdAt <= Date.now())
+        assert.deepEqual([b.value, b.ttl, b.sliding], ['forever', 0, true])
+        assert.deepEqual([c.value, c.counter], [5, true])
+    })
+
+    it('filters entries by pattern and leaves stream open on request', async () => {
+        const store = sqliteStore.create({ name: 'export_pattern' })
+        await store.mset('user:1', 1, 'user:2', 2, 'post:1', 3)
+
+        const stream = new PassThrough()
+        assert.strictEqual(await store.export(stream, {pattern: 'user:*', end: false}), 2)
+        assert.strictEqual(stream.writableEnded, false)
+    })
+
+    it('pages through large key-value spaces', async () => {
+        const store = sqliteStore.create({ name: 'export_pages' })
+        const args = []
+        for (let i = 0; i < 1200; i++) {
+            args.push('k' + String(i).padStart(4, '0'), i)
+        }
+        await store.mset(...args)
+
+        const {count, data} = await exported(store)
+        assert.strictEqual(count, 1200)
+        assert.strictEqual(new Set(data.toString().trim().split('\n').map(l => JSON.parse(l).key)).size, 1200)
+    })
+
+    it('rejects unknown formats', async () => {
+        const store = sqliteStore.create({ name: 'export_format' })
+        await assert.rejects(store.export(new PassThrough(), {format: 'xml'}), /Unknown snapshot format xml, expected one of: ndjson, cbor/)
+    })
+
+    it('supports callbacks', (done) => {
+        const store = sqliteStore.create({ name: 'export_cb' })
+        store.export(new PassThrough().resume(), (err, count) => {
+            assert.strictEqual(count, 0)
+            done(err)
+        })
+    })
+})
+
+describe('sqliteStore import', () => {
+    it('round trips entries through CBOR', async () => {
+        const source = sqliteStore.create({ name: 'import_cbor_src' })
+        const value = {buf: Buffer.from('abc'), date: new Date(0), list: [1, 'two']}
+        await source.set('a', value, {ttl: 60, tags: ['t']})
+        await source.incr('n', 2)
+        const {data} = await exported(source, {format: 'cbor'})
+
+        const target = sqliteStore.create({ name: 'import_cbor_dst' })
+        assert.deepEqual(await target.import(Readable.from([data]), {format: 'cbor'}), {imported: 2, skipped: 0})
+        assert.deepEqual(await target.get('a'), value)
+        assert(await target.ttl('a') > 59 * 1000)
+        assert.strictEqual(await target.incr('n'), 3)
+        assert.strictEqual(await target.invalidateTags(['t']), 1)
+    })
+
+    it('restores remaining TTL, stale window and sliding flag', async () => {
+        const store = sqliteStore.create({ name: 'import_expiry', options: { staleTtl: 100 } })
+        await store.import(ndjson(
+            {key: 'a', value: 1, ttl: 10},
+            {key: 'b', value: 2, ttl: 0, sliding: true},
+            {key: 'c', value: 3, ttl: 10, staleTtl: 5}
+        ))
+
+        const a = await store.getWithMetadata('a')
+        assert.strictEqual(a.staleUntil, a.expiresAt)
+        assert.strictEqual(await store.ttl('b'), Infinity)
+        const c = await store.getWithMetadata('c')
+        assert.strictEqual(c.staleUntil - c.expiresAt, 5000)
+    })
+
+    it('applies conflict policies to live entries', async () => {
+        const store = sqliteStore.create({ name: 'import_conflicts' })
+        const records = () => ndjson(
+            {key: 'old', value: 'imported', ttl: 60, createdAt: 1000},
+            {key: 'new', value: 'imported', ttl: 60, createdAt: Date.now() + 60000},
+            {key: 'expired', value: 'imported', ttl: 60, createdAt: 1000}
+        )
+        const prepare = () => store.mset('old', 'kept', 'new', 'kept')
+            .then(() => store.set('expired', 'kept', {ttl: -1}))
+
+        await prepare()
+        assert.deepEqual(await store.import(records(), {onConflict: 'skip'}), {imported: 1, skipped: 2})
+        assert.deepEqual(await store.mget('old', 'new', 'expired'), ['kept', 'kept', 'imported'])
+
+        await prepare()
+        assert.deepEqual(await store.import(records(), {onConflict: 'keep-newer'}), {imported: 2, skipped: 1})
+        assert.deepEqual(await store.mget('old', 'new', 'expired'), ['kept', 'imported', 'imported'])
+
+        await prepare()
+        assert.deepEqual(await store.import(records()), {imported: 3, skipped: 0})
+        assert.deepEqual(await store.mget('old', 'new', 'expired'), ['imported', 'imported', 'imported'])
+    })
+
+    it('keeps tags of skipped entries', async () => {
+        const store = sqliteStore.create({ name: 'import_tagged' })
+        await store.set('a', 'kept', {tags: ['mine']})
+        await store.import(ndjson({key: 'a', value: 'imported', ttl: 60, tags: ['theirs']}), {onConflict: 'skip'})
+
+        assert.strictEqual(await store.invalidateTags(['theirs']), 0)
+        assert.strictEqual(await store.invalidateTags(['mine']), 1)
+    })
+
+    it('writes each batch in its own transaction', async () => {
+        const store = sqliteStore.create({ name: 'import_batches' })
+        await store.ready()
+        const run = sinon.spy(store.db, 'run')
+        const records = [1, 2, 3, 4, 5].map(i => ({key: 'k' + i, value: i, ttl: 60}))
+
+        assert.deepEqual(await store.import(ndjson(...records), {batchSize: 2}), {imported: 5, skipped: 0})
+        assert.strictEqual(run.getCalls().filter(c => c.args[0] === 'BEGIN IMMEDIATE').length, 3)
+        assert.deepEqual(await store.mget('k1', 'k5'), [1, 5])
+    })
+
+    it('rejects malformed records and unknown policies', async () => {
+        const store = sqliteStore.create({ name: 'import_invalid' })
+        await assert.rejects(store.import(Readable.from(['{"key": "a", "value": 1}\n', 'nope\n'])), /Invalid snapshot record on line 2/)
+        await assert.rejects(store.import(ndjson({value: 1})), /Invalid snapshot record/)
+        await assert.rejects(store.import(ndjson(), {onConflict: 'merge'}), /Unknown conflict policy merge, expected one of: overwrite, skip, keep-newer/)
+    })
+})
+
+describe('sqliteStore backup', () => {
+    afterEach(() => fs.rmSync(backupPath, { force: true }))
+
+    it('copies database into a file usable by other stores', async () => {
+        const store = sqliteStore.create({ name: 'backup_src', path: '/tmp/test-snapshot.db' })
+        await store.reset()
+        await store.set('foo', {bar: 1})
+        await store.backup(backupPath)
+        await store.close()
+
+        const copy = sqliteStore.create({ name: 'backup_src', path: backupPath })
+        assert.deepEqual(await copy.get('foo'), {bar: 1})
+        await copy.close()
+    })
+
+    it('backs up in memory databases', async () => {
+        const store = sqliteStore.create({ name: 'backup_memory', options: { writeBehind: true } })
+        store.set('foo', 1)
+        await store.backup(backupPath)
+
+        const copy = sqliteStore.create({ name: 'backup_memory', path: backupPath })
+        assert.strictEqual(await copy.get('foo'), 1)
+        await copy.close()
+    })
+})
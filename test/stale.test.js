@@ -0,0 +1,122 @@
+const assert = require('assert')
+const sinon = require('sinon')
+
+const sqliteStore = require('../index')
+const { sleep } = require('./support/sleep')
+
+describe('sqliteStore stale entries', () => {
+    const store = sqliteStore.create({ name: 'stale' })
+    let clock
+
+    beforeEach(async () => {
+        await store.reset()
+        clock = sinon.useFakeTimers({ now: new Date().getTime(), toFake: ['Date'] })
+    })
+
+    afterEach(() => {
+        clock.restore()
+    })
+
+    it('serves stale value only when allowed', async () => {
+        await store.set('a', 1, {ttl: 1, staleTtl: 10})
+        clock.tick(2000)
+
+        assert.strictEqual(await store.get('a'), undefined)
+        assert.strictEqual(await store.get('a', {allowStale: true}), 1)
+        assert.deepEqual(await store.mget('a', 'b', {allowStale: true}), [1, undefined])
+    })
+
+    it('drops entries past stale window', async () => {
+        await store.set('a', 1, {ttl: 1, staleTtl: 1})
+        clock.tick(3000)
+
+        assert.strictEqual(await store.get('a', {allowStale: true}), undefined)
+        assert.deepEqual(await store.keys(), [])
+    })
+
+    it('keeps stale entries until hard expiry when purging', async () => {
+        await store.set('a', 1, {ttl: 1, staleTtl: 10})
+        await store.set('b', 1, {ttl: -1})
+        clock.tick(2000)
+
+        await store.get('b')
+        await sleep(20)
+        assert.deepEqual(await store.keys(), ['a'])
+    })
+
+    it('applies default stale window of store', async () => {
+        const withDefault = sqliteStore.create({ name: 'stale_default', options: { staleTtl: 10 } })
+        await withDefault.set('a', 1, {ttl: 1})
+        clock.tick(2000)
+
+        assert.strictEqual(await withDefault.get('a', {allowStale: true}), 1)
+    })
+
+    it('reports stale flag and expiry with metadata', async () => {
+        const ts = new Date().getTime()
+        await store.set('a', {foo: 1}, {ttl: 1, staleTtl: 10})
+
+        const {value, stale, expiresAt, staleUntil, createdAt} = await store.getWithMetadata('a')
+        assert.deepEqual({value, stale, expiresAt, staleUntil, createdAt}, {value: {foo: 1}, stale: false, expiresAt: ts + 1000, staleUntil: ts + 11000, createdAt: ts})
+        clock.tick(2000)
+        assert.strictEqual((await store.getWithMetadata('a')).stale, true)
+        assert.strictEqual(await store.getWithMetadata('b'), undefined)
+    })
+
+    it('reports ttl until entry goes stale', async () => {
+        await store.set('a', 1, {ttl: 1, staleTtl: 10})
+        assert(await store.ttl('a') <= 1000)
+    })
+})
+
+describe('sqliteStore wrap with stale entries', () => {
+    const store = sqliteStore.create({ name: 'stale_wrap' })
+    let clock
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers({ now: new Date().getTime(), toFake: ['Date'] })
+        await store.set('a', 1, {ttl: 1, staleTtl: 10})
+        clock.tick(2000)
+    })
+
+    afterEach(() => {
+        clock.restore()
+    })
+
+    it('returns stale value and refreshes it in background', async () => {
+        const loader = sinon.fake.resolves(2)
+        assert.strictEqual(await store.wrap('a', loader, {staleWhileRevalidate: true, ttl: 10}), 1)
+
+        await sleep(20)
+        assert(loader.calledOnce)
+        assert.strictEqual(await store.get('a'), 2)
+    })
+
+    it('keeps serving stale value when background refresh fails', async () => {
+        const loader = sinon.fake.rejects(new Error('Fake error'))
+        assert.strictEqual(await store.wrap('a', loader, {staleWhileRevalidate: true}), 1)
+
+        await sleep(20)
+        assert.strictEqual(await store.get('a', {allowStale: true}), 1)
+    })
+
+    it('skips background refresh while another process holds the lock', async () => {
+        const owner = await store.lock('a')
+        const loader = sinon.fake.resolves(2)
+        assert.strictEqual(await store.wrap('a', loader, {staleWhileRevalidate: true}), 1)
+
+        await sleep(20)
+        assert(loader.notCalled)
+        await store.unlock('a', owner)
+    })
+
+    it('returns stale value when loader fails', async () => {
+        const loader = sinon.fake.rejects(new Error('Fake error'))
+        assert.strictEqual(await store.wrap('a', loader, {staleIfError: true}), 1)
+    })
+
+    it('reloads stale value when no stale mode is set', async () => {
+        await assert.rejects(store.wrap('a', () => Promise.reject(new Error('Fake error'))), {message: 'Fake error'})
+        assert.strictEqual(await store.wrap('a', () => 2), 2)
+    })
+})
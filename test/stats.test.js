@@ -0,0 +1,107 @@
+const assert = require('assert')
+const sinon = require('sinon')
+const { Database } = require('./support/driver')
+
+const sqliteStore = require('../index')
+const { sleep } = require('./support/sleep')
+
+describe('sqliteStore stats', () => {
+    it('counts hits, misses, writes and deletes', async () => {
+        const store = sqliteStore.create({ name: 'stats' })
+        await store.mset('a', 1, 'b', 2, 'c', 3)
+        await store.mget('a', 'b', 'missing')
+        await store.get('a')
+        await store.del('a')
+        await store.del('missing')
+        await store.delByPattern('b*')
+
+        const stats = await store.stats()
+        assert.strictEqual(stats.hits, 3)
+        assert.strictEqual(stats.misses, 1)
+        assert.strictEqual(stats.writes, 3)
+        assert.strictEqual(stats.deletes, 2)
+        assert.strictEqual(stats.entries, 1)
+    })
+
+    it('counts expired reads and purged entries', async () => {
+        const store = sqliteStore.create({ name: 'stats_expired' })
+        await store.mset('a', 1, 'b', 2, {ttl: -1})
+        await store.get('a')
+        await sleep(20)
+
+        const stats = await store.stats()
+        assert.strictEqual(stats.expired, 1)
+        assert.strictEqual(stats.misses, 1)
+        assert.strictEqual(stats.purged, 2)
+        assert.strictEqual(stats.entries, 0)
+    })
+
+    it('counts evicted entries', async () => {
+        const store = sqliteStore.create({ name: 'stats_evicted', options: { maxEntries: 1 } })
+        await store.mset('a', 1, 'b', 2)
+        await store.evict()
+
+        assert.strictEqual((await store.stats()).evicted, 1)
+    })
+
+    it('reports database and WAL size', async () => {
+        const store = sqliteStore.create({ name: 'stats_size', path: '/tmp/test-stats.db' })
+        await store.set('a', 'x'.repeat(10000))
+
+        const stats = await store.stats()
+        assert(stats.dbSize > 10000)
+        assert(stats.walSize > 0)
+        await store.close()
+    })
+
+    it('records latency histogram per operation', async () => {
+        const store = sqliteStore.create({ name: 'stats_latency' })
+        await store.set('a', 1)
+        await store.get('a')
+        await store.get('b')
+
+        const {latency} = await store.stats()
+        assert.strictEqual(latency.mget.count, 2)
+        assert.strictEqual(latency.mset.count, 1)
+        assert(latency.mget.sum > 0)
+        assert.deepEqual(latency.mget.buckets[latency.mget.buckets.length - 1], {le: 1000, count: 2})
+    })
+})
+
+describe('sqliteStore events', () => {
+    it('emits hit, miss, set and del with keys', async () => {
+        const store = sqliteStore.create({ name: 'events' })
+        const events = []
+        for (const name of ['hit', 'miss', 'set', 'del', 'expire']) {
+            store.on(name, key => events.push([name, key]))
+        }
+
+        await store.set('a', 1)
+        await store.set('b', 1, {ttl: -1})
+        await store.mget('a', 'b', 'c')
+        await store.del('a')
+
+        assert.deepEqual(events, [
+            ['set', 'a'], ['set', 'b'],
+            ['expire', 'b'], ['hit', 'a'], ['miss', 'b'], ['miss', 'c'],
+            ['del', 'a']
+        ])
+    })
+
+    it('emits errors of operations only when listened to', async () => {
+        const store = sqliteStore.create({ name: 'events_error' })
+        await store.ready()
+        const all = sinon.stub(Database.prototype, 'all').yieldsRight(new Error('Fake error'))
+
+        try {
+            await assert.rejects(store.get('a'), {message: 'Fake error'})
+
+            const errors = []
+            store.on('error', err => errors.push(err.message))
+            await assert.rejects(store.get('a'), {message: 'Fake error'})
+            assert.deepEqual(errors, ['Fake error'])
+        } finally {
+            all.restore()
+        }
+    })
+})
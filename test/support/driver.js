@@ -0,0 +1,39 @@
+/**
+ * Runs whole suite against driver named by TEST_DRIVER (default `sqlite3`), by defaulting `driver` option
+ * of every store and database. Suite is skipped when driver is not available on this Node.js version.
+ */
+const sqlite3 = require('sqlite3')
+
+const sqliteStore = require('../../index')
+const { SyncDatabase, resolveDriver } = require('../../drivers')
+
+const driver = process.env.TEST_DRIVER || 'sqlite3'
+
+let unavailable = null
+try {
+    resolveDriver(driver)
+} catch (e) {
+    unavailable = e
+}
+
+// Suites create stores while being loaded, those must not fail before whole run is skipped
+const { create, open } = sqliteStore
+if (!unavailable) {
+    sqliteStore.create = args => create({ ...args, options: { driver, ...(args && args.options) } })
+    sqliteStore.open = args => open({ ...args, options: { driver, ...(args && args.options) } })
+}
+
+module.exports = {
+    driver,
+
+    // Prototype of database handles handed out by driver, for stubbing failures
+    Database: driver === 'sqlite3' ? sqlite3.Database : SyncDatabase,
+
+    mochaHooks: {
+        beforeAll() {
+            if (unavailable) {
+                this.skip()
+            }
+        }
+    }
+}
@@ -0,0 +1,8 @@
+/**
+ * Resolves after `ms` milliseconds, lets tests wait for TTLs, intervals and timers to pass
+ */
+function sleep(ms) {
+    return new Promise(ok => setTimeout(ok, ms))
+}
+
+module.exports = { sleep }
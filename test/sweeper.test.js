@@ -0,0 +1,66 @@
+const assert = require('assert')
+const sinon = require('sinon')
+
+const sqliteStore = require('../index')
+const { sleep } = require('./support/sleep')
+
+describe('sqliteStore sweeper', () => {
+    let clock
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: new Date().getTime(), toFake: ['setInterval', 'clearInterval'] })
+    })
+
+    afterEach(() => {
+        clock.restore()
+    })
+
+    it('deletes expired entries in batches', async () => {
+        const store = sqliteStore.create({ name: 'sweep_batch', options: { sweeper: { batchSize: 2 } } })
+        await store.mset('a', 1, 'b', 2, 'c', 3, 'd', 4, 'e', 5, {ttl: -1})
+        await store.set('live', 1)
+
+        const run = sinon.spy(store.db, 'run')
+        assert.strictEqual(await store.sweep(), 5)
+        assert.strictEqual(run.callCount, 3)
+        assert.deepEqual(await store.keys(), ['live'])
+        await store.close()
+    })
+
+    it('sweeps expired entries periodically', async () => {
+        const store = sqliteStore.create({ name: 'sweep_timer', options: { sweeper: { interval: 1000 } } })
+        await store.set('a', 1, {ttl: -1})
+
+        clock.tick(1000)
+        await sleep(20)
+        assert.strictEqual(await store.sweep(), 0)
+        await store.close()
+    })
+
+    it('runs incremental vacuum and WAL checkpoints periodically', async () => {
+        const store = sqliteStore.create({ name: 'sweep_vacuum', options: { sweeper: { vacuumInterval: 1000, vacuumPages: 10, checkpointInterval: 2000 } } })
+        const run = sinon.spy(store.db, 'run')
+
+        clock.tick(2000)
+        assert(run.calledWith('PRAGMA main.incremental_vacuum(10)'))
+        assert(run.calledWith('PRAGMA main.wal_checkpoint(PASSIVE)'))
+        await store.close()
+    })
+
+    it('stops background tasks on close', async () => {
+        const store = sqliteStore.create({ name: 'sweep_close', options: { sweeper: true } })
+        const sweep = sinon.stub(store, 'sweep')
+
+        await store.close()
+        clock.tick(60 * 60 * 1000)
+        assert(sweep.notCalled)
+    })
+
+    it('does not start timers unless enabled', async () => {
+        const store = sqliteStore.create({ name: 'sweep_off' })
+        const sweep = sinon.stub(store, 'sweep')
+
+        clock.tick(60 * 60 * 1000)
+        assert(sweep.notCalled)
+    })
+})
@@ -0,0 +1,127 @@
+const assert = require('assert')
+const cacheManager = require('cache-manager')
+const sinon = require('sinon')
+
+const sqliteStore = require('../index')
+
+describe('cacheManager tags', () => {
+    const cache = cacheManager.caching({
+        store: sqliteStore,
+        name: 'tagged'
+    })
+
+    function countTags(key) {
+        return new Promise((ok, fail) => {
+            cache.store.db.get('SELECT COUNT(*) AS c FROM tagged_tags WHERE key = ?', [key], (err, row) => {
+                return err ? fail(err) : ok(row.c)
+            })
+        })
+    }
+
+    beforeEach(async () => {
+        await cache.reset()
+    })
+
+    it('invalidates every entry carrying any of the tags', async () => {
+        await cache.set('a', 1, {tags: ['product:17', 'product:18']})
+        await cache.set('b', 2, {tags: ['product:17']})
+        await cache.set('c', 3, {tags: ['product:18']})
+        await cache.set('d', 4)
+
+        assert.strictEqual(await cache.store.invalidateTags(['product:17']), 2)
+        assert.deepEqual(await cache.keys(), ['c', 'd'])
+        assert.strictEqual(await countTags('a'), 0)
+    })
+
+    it('tags every entry written by mset', async () => {
+        await cache.mset('a', 1, 'b', 2, {tags: ['page', 'user:1']})
+        await cache.set('c', 3, {tags: ['page']})
+
+        assert.strictEqual(await cache.store.invalidateTags('user:1'), 2)
+        assert.deepEqual(await cache.keys(), ['c'])
+    })
+
+    it('drops previous tags when entry is overwritten', async () => {
+        await cache.set('a', 1, {tags: ['old']})
+        await cache.set('a', 2, {tags: ['new']})
+        await cache.set('b', 1, {tags: ['old']})
+        await cache.set('b', 2)
+
+        assert.strictEqual(await cache.store.invalidateTags(['old']), 0)
+        assert.deepEqual(await cache.mget('a', 'b'), [2, 2])
+    })
+
+    it('keeps tag table consistent on del and reset', async () => {
+        await cache.set('a', 1, {tags: ['x', 'y']})
+        await cache.set('b', 1, {tags: ['x']})
+        await cache.del('a')
+        assert.strictEqual(await countTags('a'), 0)
+        assert.strictEqual(await countTags('b'), 1)
+
+        await cache.reset()
+        assert.strictEqual(await countTags('b'), 0)
+    })
+
+    it('keeps tag table consistent when expired entries are purged', async () => {
+        await cache.set('a', 1, {ttl: -1, tags: ['x']})
+        assert.strictEqual(await cache.get('a'), undefined)
+        await new Promise(ok => setTimeout(ok, 20))
+        assert.strictEqual(await countTags('a'), 0)
+    })
+
+    /**
+     * Fails statements of store's database matching `pattern` without running them
+     */
+    function failing(pattern) {
+        const db = cache.store.db
+        const run = db.run
+        return sinon.stub(db, 'run').callsFake(function (sql, params, cb) {
+            if (pattern.test(sql)) {
+                return setImmediate(() => cb(new Error('SQLITE_IOERR: disk I/O error')))
+            }
+
+            return run.apply(this, arguments)
+        })
+    }
+
+    it('rolls back entry when tagging fails', async () => {
+        await cache.set('a', 1, {tags: ['old']})
+        const run = failing(/INSERT OR IGNORE INTO "tagged_tags"/)
+        try {
+            await assert.rejects(cache.set('a', 2, {tags: ['new']}), /disk I\/O error/)
+        } finally {
+            run.restore()
+        }
+
+        assert.strictEqual(await cache.get('a'), 1)
+        assert.strictEqual(await countTags('a'), 1)
+        assert.strictEqual(await cache.store.invalidateTags(['old']), 1)
+    })
+
+    it('ends transaction when commit fails', async () => {
+        const run = failing(/^COMMIT$/)
+        try {
+            await assert.rejects(cache.set('a', 1, {tags: ['x']}), /disk I\/O error/)
+        } finally {
+            run.restore()
+        }
+
+        assert.strictEqual(await cache.get('a'), undefined)
+        await cache.set('b', 1, {tags: ['x']})
+        await cache.set('c', 1, {tags: ['x']})
+        assert.strictEqual(await cache.store.invalidateTags(['x']), 2)
+    })
+
+    it('supports callbacks', (done) => {
+        cache.set('a', 1, {tags: ['x']}, (err) => {
+            if (err) {
+                return done(err)
+            }
+
+            cache.store.invalidateTags(['x'], (err, count) => {
+                assert.strictEqual(count, 1)
+                done(err)
+            })
+        })
+    })
+})
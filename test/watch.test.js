@@ -0,0 +1,152 @@
+const assert = require('assert')
+const { execFile } = require('child_process')
+const fs = require('fs')
+const sinon = require('sinon')
+const { Database, driver } = require('./support/driver')
+
+const sqliteStore = require('../index')
+const { sleep } = require('./support/sleep')
+
+const path = '/tmp/test-watch.db'
+
+function watchedStore(name) {
+    return sqliteStore.create({ name, path, options: { watchInterval: 10 } })
+}
+
+/**
+ * Watches `pattern` on `store`, returning received changes as `op key` strings
+ */
+function record(store, pattern) {
+    const changes = []
+    const unwatch = store.watch(pattern, c => changes.push(c.key === null ? c.op : c.op + ' ' + c.key))
+    return {changes, unwatch}
+}
+
+describe('sqliteStore watch', () => {
+    before(() => {
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(path + suffix, { force: true })
+        }
+    })
+
+    it('delivers sets, deletes and expiries of matching keys', async () => {
+        const store = watchedStore('watch_ops')
+        const users = record(store, 'user:*')
+        const one = record(store, 'user:1')
+
+        await store.mset('user:1', 1, 'user:2', 2, 'post:1', 3)
+        await store.incr('user:3')
+        await store.del('user:2')
+        await store.set('user:4', 4, {ttl: -1})
+        await store.sweep()
+        await sleep(50)
+
+        assert.deepEqual(users.changes, ['set user:1', 'set user:2', 'set user:3', 'del user:2', 'set user:4', 'expire user:4'])
+        assert.deepEqual(one.changes, ['set user:1'])
+        await store.close()
+    })
+
+    it('does not deliver expiry changes of live entries', async () => {
+        const store = sqliteStore.create({ name: 'watch_touch', path, options: { watchInterval: 10, sliding: true, ttl: 60 } })
+        await store.set('foo', 1)
+        const {changes} = record(store, '*')
+
+        await store.get('foo')
+        await store.expire('foo', 120)
+        await store.set('foo', 1)
+        await sleep(50)
+
+        assert.deepEqual(changes, ['set foo'])
+        await store.close()
+    })
+
+    it('delivers changes of other processes', async () => {
+        const store = watchedStore('watch_processes')
+        const {changes} = record(store, '*')
+        await sleep(50)
+
+        const script = `
+            const store = require(${JSON.stringify(require.resolve('../index'))})
+                .create({ name: 'watch_processes', path: ${JSON.stringify(path)}, options: { driver: ${JSON.stringify(driver)} } })
+            store.set('remote', 1).then(() => store.del('remote')).then(() => store.close())
+        `
+        await new Promise((ok, fail) => execFile(process.execPath, ['-e', script], err => err ? fail(err) : ok()))
+        await sleep(50)
+
+        assert.deepEqual(changes, ['set remote', 'del remote'])
+        await store.close()
+    }).timeout(10000)
+
+    it('reads change log only when database changed', async () => {
+        const store = watchedStore('watch_idle')
+        record(store, '*')
+        await store.set('foo', 1)
+        await sleep(50)
+
+        const all = sinon.spy(Database.prototype, 'all')
+        try {
+            await sleep(50)
+            assert(all.notCalled)
+        } finally {
+            all.restore()
+        }
+
+        await store.close()
+    })
+
+    it('stops delivering once unwatched', async () => {
+        const store = watchedStore('watch_stop')
+        const first = record(store, '*')
+        const second = record(store, 'b')
+        await store.set('a', 1)
+        await sleep(50)
+
+        first.unwatch()
+        await store.mset('a', 2, 'b', 2)
+        await sleep(50)
+        second.unwatch()
+        await store.set('b', 3)
+        await sleep(50)
+
+        assert.deepEqual(first.changes, ['set a'])
+        assert.deepEqual(second.changes, ['set b'])
+        await store.close()
+    })
+
+    it('signals reset when change log was trimmed past last poll', async () => {
+        const store = watchedStore('watch_trimmed')
+        const {changes} = record(store, '*')
+        await store.set('foo', 1)
+        await sleep(50)
+
+        await new Promise(ok => store.db.exec(`
+            INSERT INTO watch_trimmed_changes(seq, key, op) SELECT MAX(seq) + 1000, 'other', 'set' FROM watch_trimmed_changes;
+            DELETE FROM watch_trimmed_changes WHERE seq < (SELECT MAX(seq) FROM watch_trimmed_changes);
+        `, ok))
+        await sleep(50)
+
+        assert.deepEqual(changes, ['set foo', 'reset'])
+        await store.close()
+    })
+
+    it('matches keys with glob syntax', async () => {
+        const store = watchedStore('watch_glob')
+        const classes = record(store, 'k[0-2]?')
+        const negated = record(store, 'k[^0-2]*')
+        const literal = record(store, 'a.b+(c)')
+
+        await store.mset('k1x', 1, 'k3x', 1, 'k1', 1, 'a.b+(c)', 1, 'aXb+(c)', 1)
+        await sleep(50)
+
+        assert.deepEqual(classes.changes, ['set k1x'])
+        assert.deepEqual(negated.changes, ['set k3x'])
+        assert.deepEqual(literal.changes, ['set a.b+(c)'])
+        await store.close()
+    })
+
+    it('refuses watchers on closed store', async () => {
+        const store = watchedStore('watch_closed')
+        await store.close()
+        assert.throws(() => store.watch('*', () => {}), { name: 'StoreClosedError' })
+    })
+})
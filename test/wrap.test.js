@@ -0,0 +1,113 @@
+const assert = require('assert')
+const sinon = require('sinon')
+
+const sqliteStore = require('../index')
+const { sleep } = require('./support/sleep')
+
+let seq = 0
+
+// Keys must differ between tests running within same millisecond
+function uniqueKey(prefix) {
+    return prefix + new Date().getTime() + '-' + seq++
+}
+
+describe('sqliteStore locks', () => {
+    const store = sqliteStore.create({ name: 'locked', path: '/tmp/test-wrap.db' })
+
+    it('grants lock to single owner until released', async () => {
+        const key = uniqueKey('lock')
+        const owner = await store.lock(key)
+        assert(owner)
+        assert.strictEqual(await store.lock(key), null)
+
+        assert.strictEqual(await store.unlock(key, 'someone-else'), false)
+        assert.strictEqual(await store.unlock(key, owner), true)
+        assert(await store.lock(key))
+    })
+
+    it('hands over lock once timeout passes', async () => {
+        const key = uniqueKey('lock')
+        assert(await store.lock(key, {timeout: 10}))
+        await sleep(20)
+        assert(await store.lock(key))
+    })
+
+    it('supports callbacks', (done) => {
+        store.lock(uniqueKey('lock-cb'), (err, owner) => {
+            assert(owner)
+            done(err)
+        })
+    })
+})
+
+describe('sqliteStore wrap', () => {
+    // Stores sharing a database file behave like separate processes as far as locking goes
+    const stores = [1, 2, 3].map(() => sqliteStore.create({ name: 'wrapped', path: '/tmp/test-wrap.db' }))
+    const store = stores[0]
+
+    it('returns cached value without calling loader', async () => {
+        const key = uniqueKey('wrap')
+        const loader = sinon.fake.resolves(2)
+        await store.set(key, 1)
+
+        assert.strictEqual(await store.wrap(key, loader), 1)
+        assert(loader.notCalled)
+    })
+
+    it('calls loader once across concurrent misses', async () => {
+        const key = uniqueKey('wrap')
+        const loader = sinon.fake(async () => {
+            await sleep(50)
+            return {foo: 1}
+        })
+
+        const values = await Promise.all(stores.flatMap(s => [s.wrap(key, loader, {pollInterval: 10}), s.wrap(key, loader, {pollInterval: 10})]))
+        values.forEach(v => assert.deepEqual(v, {foo: 1}))
+        assert(loader.calledOnce)
+        assert.deepEqual(await store.get(key), {foo: 1})
+    })
+
+    it('passes set options for loaded value', async () => {
+        const key = uniqueKey('wrap')
+        await store.wrap(key, () => 1, {ttl: 10})
+        const ttl = await store.ttl(key)
+        assert(ttl > 9000 && ttl <= 10000)
+    })
+
+    it('loads locally when waiting for lock exceeds waitTimeout', async () => {
+        const key = uniqueKey('wrap')
+        await store.lock(key)
+
+        const loader = sinon.fake.resolves(3)
+        assert.strictEqual(await store.wrap(key, loader, {waitTimeout: 30, pollInterval: 10}), 3)
+        assert(loader.calledOnce)
+    })
+
+    it('takes over lock of crashed loader after lockTimeout', async () => {
+        const key = uniqueKey('wrap')
+        await store.lock(key, {timeout: 20})
+
+        const loader = sinon.fake.resolves(4)
+        assert.strictEqual(await stores[1].wrap(key, loader, {pollInterval: 10}), 4)
+        assert(loader.calledOnce)
+    })
+
+    it('releases lock when loader fails', async () => {
+        const key = uniqueKey('wrap')
+        await assert.rejects(store.wrap(key, () => Promise.reject(new Error('Fake error'))), {message: 'Fake error'})
+        assert(await store.lock(key))
+    })
+
+    it('does not cache undefined values', async () => {
+        const key = uniqueKey('wrap')
+        assert.strictEqual(await store.wrap(key, () => undefined), undefined)
+        assert.strictEqual(await store.ttl(key), -1)
+    })
+
+    it('supports callbacks', (done) => {
+        store.wrap(uniqueKey('wrap-cb'), () => 5, {ttl: 10}, (err, v) => {
+            assert.strictEqual(v, 5)
+            done(err)
+        })
+    })
+})
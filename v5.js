@@ -0,0 +1,93 @@
+const { create } = require('./index')
+
+/**
+ * Converts cache-manager v5 TTL (milliseconds) into adapter options (seconds)
+ */
+function ttlOptions(ttl) {
+    return typeof ttl === 'number' ? { ttl: ttl / 1000 } : {}
+}
+
+/**
+ * cache-manager v5 store interface on top of SqliteCacheAdapter. All methods return promises
+ * and TTLs are expressed in milliseconds.
+ */
+class SqliteStoreV5 {
+    #adapter = null
+
+    constructor(adapter) {
+        this.#adapter = adapter
+    }
+
+    /**
+     * @property {SqliteCacheAdapter} adapter backing this store, exposes the extended (v4 style) API
+     */
+    get adapter() {
+        return this.#adapter
+    }
+
+    get name() {
+        return 'sqlite'
+    }
+
+    async get(key) {
+        return this.#adapter.get(key, {})
+    }
+
+    async set(key, value, ttl) {
+        await this.#adapter.set(key, value, ttlOptions(ttl))
+    }
+
+    async del(key) {
+        await this.#adapter.del(key)
+    }
+
+    async reset() {
+        await this.#adapter.reset()
+    }
+
+    async mset(pairs, ttl) {
+        const args = pairs.flatMap(([k, v]) => [k, v])
+        await this.#adapter.mset(...args, ttlOptions(ttl))
+    }
+
+    async mget(...keys) {
+        return this.#adapter.mget(...keys, {})
+    }
+
+    async mdel(...keys) {
+        await this.#adapter.mdel(...keys, {})
+    }
+
+    async keys(pattern) {
+        return this.#adapter.keys(pattern, {})
+    }
+
+    async ttl(key) {
+        return this.#adapter.ttl(key)
+    }
+}
+
+/**
+ * @typedef {object} SqliteStoreV5Args
+ * @property {string} name of key-value space
+ * @property {string} path of database
+ * @property {number} ttl default TTL in milliseconds
+ * @property {SqliteOpenOptions} options for opening database
+ */
+
+/**
+ * Store factory for cache-manager v5, resolves once the key-value space is ready:
+ *
+ *     const cache = await caching(sqliteStore, { path: '/tmp/cache.db', ttl: 60 * 1000 })
+ *
+ * @param {SqliteStoreV5Args} args
+ * @returns {Promise<SqliteStoreV5>}
+ */
+function sqliteStore(args = {}) {
+    const adapter = create({ ...args, options: { ...args.options, ...ttlOptions(args.ttl) } })
+    return adapter.ready().then(() => new SqliteStoreV5(adapter))
+}
+
+module.exports = {
+    sqliteStore
+}